@@ -0,0 +1,181 @@
+/**
+ * AlertMonitor - Diffs consecutive watch cycles and raises threshold alerts
+ */
+class AlertMonitor {
+  /**
+   * @param {Object} thresholds - Alert thresholds
+   * @param {number} thresholds.keywordMentions - Alert when a keyword's mentions rise to this count
+   * @param {number} thresholds.keywordVelocity - Alert when a keyword's per-post rate rises by this many percent
+   * @param {number} thresholds.postSpike - Alert when a post's trending score grows by this factor
+   * @param {number} thresholds.sentimentSwing - Alert when a subreddit's average sentiment moves this much
+   * @param {number} thresholds.minMentions - Keywords with fewer mentions never raise velocity alerts
+   */
+  constructor(thresholds) {
+    this.thresholds = thresholds;
+    this.previous = null;
+  }
+
+  /**
+   * Reduce analysis results to what the next cycle is compared against
+   * @param {Object} results - Output of RedditTrendAnalyzerApp.analyze
+   * @returns {Object} Cycle state
+   */
+  summarize(results) {
+    return {
+      capturedAt: results.capturedAt,
+      postsCount: results.postsCount,
+      keywords: new Map(results.trendingKeywords.map(item => [item.keyword, item.count])),
+      posts: new Map(results.rankedPosts.map(post => [post.id, post])),
+      sentiment: Object.fromEntries(
+        Object.entries(results.subredditSentiment).map(([subreddit, stats]) => [subreddit, stats.averageScore])
+      )
+    };
+  }
+
+  /**
+   * Compare a cycle's results with the previous cycle
+   * @param {Object} results - Output of RedditTrendAnalyzerApp.analyze
+   * @returns {Object} {diff, alerts}; both empty on the first cycle
+   */
+  evaluate(results) {
+    const current = this.summarize(results);
+    const previous = this.previous;
+    this.previous = current;
+
+    if (!previous) {
+      return { diff: null, alerts: [] };
+    }
+
+    const diff = this.diff(previous, current);
+    const alerts = [
+      ...this.checkKeywords(previous, current),
+      ...this.checkPosts(previous, current),
+      ...this.checkSentiment(previous, current)
+    ].map(alert => ({ ...alert, capturedAt: current.capturedAt, previousCapturedAt: previous.capturedAt }));
+
+    return { diff, alerts };
+  }
+
+  /**
+   * Keyword changes between two cycles
+   * @param {Object} previous - Previous cycle state
+   * @param {Object} current - Current cycle state
+   * @returns {Object} {appeared, disappeared, rising, falling} keyword lists
+   */
+  diff(previous, current) {
+    const changes = [...current.keywords.entries()]
+      .filter(([keyword]) => previous.keywords.has(keyword))
+      .map(([keyword, count]) => ({ keyword, count, change: count - previous.keywords.get(keyword) }));
+
+    return {
+      appeared: [...current.keywords.keys()].filter(keyword => !previous.keywords.has(keyword)),
+      disappeared: [...previous.keywords.keys()].filter(keyword => !current.keywords.has(keyword)),
+      rising: changes.filter(item => item.change > 0).sort((a, b) => b.change - a.change),
+      falling: changes.filter(item => item.change < 0).sort((a, b) => a.change - b.change)
+    };
+  }
+
+  /**
+   * Keywords crossing the mention threshold or accelerating past the velocity threshold
+   * @param {Object} previous - Previous cycle state
+   * @param {Object} current - Current cycle state
+   * @returns {Array} Alerts
+   */
+  checkKeywords(previous, current) {
+    const { keywordMentions, keywordVelocity, minMentions } = this.thresholds;
+    const alerts = [];
+
+    current.keywords.forEach((count, keyword) => {
+      const previousCount = previous.keywords.get(keyword) || 0;
+
+      if (count >= keywordMentions && previousCount < keywordMentions) {
+        alerts.push({
+          type: 'keyword-mentions',
+          subject: keyword,
+          value: count,
+          previous: previousCount,
+          threshold: keywordMentions,
+          message: `"${keyword}" reached ${count} mentions (was ${previousCount})`
+        });
+        return;
+      }
+
+      // Per-post rates keep cycles with different post counts comparable
+      if (previousCount > 0 && count >= minMentions) {
+        const rate = count / current.postsCount;
+        const previousRate = previousCount / previous.postsCount;
+        const velocity = ((rate - previousRate) / previousRate) * 100;
+
+        if (velocity >= keywordVelocity) {
+          alerts.push({
+            type: 'keyword-velocity',
+            subject: keyword,
+            value: velocity,
+            previous: previousRate,
+            threshold: keywordVelocity,
+            message: `"${keyword}" mentions per post up ${Math.round(velocity)}% (${previousCount} → ${count})`
+          });
+        }
+      }
+    });
+
+    return alerts;
+  }
+
+  /**
+   * Posts whose trending score grew by at least the spike factor
+   * @param {Object} previous - Previous cycle state
+   * @param {Object} current - Current cycle state
+   * @returns {Array} Alerts
+   */
+  checkPosts(previous, current) {
+    const { postSpike } = this.thresholds;
+    const alerts = [];
+
+    current.posts.forEach((post, id) => {
+      const before = previous.posts.get(id);
+      if (!before || before.trendingScore <= 0) return;
+
+      const ratio = post.trendingScore / before.trendingScore;
+      if (ratio >= postSpike) {
+        alerts.push({
+          type: 'post-spike',
+          subject: post.title,
+          value: post.trendingScore,
+          previous: before.trendingScore,
+          threshold: postSpike,
+          message: `Post in r/${post.subreddit} spiking ${ratio.toFixed(1)}×: "${post.title}"`,
+          permalink: post.permalink
+        });
+      }
+    });
+
+    return alerts;
+  }
+
+  /**
+   * Subreddits whose average post sentiment moved by at least the swing threshold
+   * @param {Object} previous - Previous cycle state
+   * @param {Object} current - Current cycle state
+   * @returns {Array} Alerts
+   */
+  checkSentiment(previous, current) {
+    const { sentimentSwing } = this.thresholds;
+
+    return Object.entries(current.sentiment)
+      .filter(([subreddit]) => subreddit in previous.sentiment)
+      .map(([subreddit, score]) => ({ subreddit, score, before: previous.sentiment[subreddit] }))
+      .filter(({ score, before }) => Math.abs(score - before) >= sentimentSwing)
+      .map(({ subreddit, score, before }) => ({
+        type: 'sentiment-swing',
+        subject: subreddit,
+        value: score,
+        previous: before,
+        threshold: sentimentSwing,
+        message: `r/${subreddit} sentiment swung ${score > before ? 'up' : 'down'} ` +
+          `from ${before.toFixed(2)} to ${score.toFixed(2)}`
+      }));
+  }
+}
+
+export default AlertMonitor;
@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { ConfigError } from './errors.js';
+
+/**
+ * StdoutSink - Prints alerts to the console
+ */
+export class StdoutSink {
+  /**
+   * @param {Array} alerts - Alerts from AlertMonitor.evaluate
+   */
+  async send(alerts) {
+    alerts.forEach(alert => {
+      console.log(chalk.bold.red(`🚨 [${alert.type}] `) + chalk.white(alert.message));
+    });
+  }
+
+  toString() {
+    return 'stdout';
+  }
+}
+
+/**
+ * FileSink - Appends alerts to a JSON-lines file
+ */
+export class FileSink {
+  /**
+   * @param {string} filePath - Path of the JSON-lines file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * @param {Array} alerts - Alerts from AlertMonitor.evaluate
+   */
+  async send(alerts) {
+    await fs.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+    await fs.appendFile(this.filePath, alerts.map(alert => JSON.stringify(alert) + '\n').join(''), 'utf8');
+  }
+
+  toString() {
+    return `file:${this.filePath}`;
+  }
+}
+
+/**
+ * WebhookSink - POSTs each cycle's alerts as one JSON document
+ */
+export class WebhookSink {
+  /**
+   * @param {string} url - Endpoint receiving {source, alerts}
+   * @param {number} timeoutMs - Request timeout in milliseconds
+   */
+  constructor(url, timeoutMs = 10000) {
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * @param {Array} alerts - Alerts from AlertMonitor.evaluate
+   */
+  async send(alerts) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ source: 'reddit-trend-analyzer', alerts }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+  }
+
+  toString() {
+    return `webhook:${this.url}`;
+  }
+}
+
+/**
+ * Names of the available alert sinks
+ */
+export const ALERT_SINK_TYPES = ['stdout', 'file', 'webhook'];
+
+/**
+ * Create an alert sink from a spec: "stdout", "file:<path>" or "webhook:<url>"
+ * @param {string} spec - Sink spec
+ * @returns {Object} Sink with a send(alerts) method
+ */
+export function createAlertSink(spec) {
+  const separator = spec.indexOf(':');
+  const type = (separator === -1 ? spec : spec.slice(0, separator)).trim().toLowerCase();
+  const target = separator === -1 ? '' : spec.slice(separator + 1).trim();
+
+  switch (type) {
+    case 'stdout':
+      return new StdoutSink();
+    case 'file':
+      if (!target) throw new ConfigError(`Alert sink "${spec}" needs a path, e.g. file:data/alerts.jsonl`);
+      return new FileSink(target);
+    case 'webhook':
+      if (!/^https?:\/\//.test(target)) {
+        throw new ConfigError(`Alert sink "${spec}" needs an http(s) URL, e.g. webhook:http://localhost:9000/alerts`);
+      }
+      return new WebhookSink(target);
+    default:
+      throw new ConfigError(`Unknown alert sink "${spec}". Use one of: ${ALERT_SINK_TYPES.join(', ')}`);
+  }
+}
@@ -0,0 +1,232 @@
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import HistoryStore from './historyStore.js';
+
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'public');
+
+/**
+ * Report sections served by the JSON endpoints
+ */
+const ENDPOINTS = {
+  '/api/report': report => report,
+  '/api/keywords': report => report.keywords,
+  '/api/themes': report => report.themes,
+  '/api/posts': report => report.trendingPosts,
+  '/api/subreddits': report => report.subreddits,
+  '/api/overlap': report => report.overlap,
+  '/api/timing': report => report.timing,
+  '/api/titles': report => report.titlePatterns,
+  '/api/emerging': report => report.emergingTopics,
+  '/api/signals': report => report.signals,
+  '/api/sentiment': report => report.sentiment
+};
+
+/**
+ * RequestError - A client error answered with an HTTP status instead of a crash
+ */
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * ApiServer - Serves analysis results of one dataset as JSON plus a static dashboard
+ */
+class ApiServer {
+  /**
+   * @param {RedditTrendAnalyzerApp} app - Application used to analyze filtered data
+   * @param {Object} data - Output of RedditTrendAnalyzerApp.loadData
+   * @param {Object} config - Configuration from loadConfig
+   */
+  constructor(app, data, config) {
+    this.app = app;
+    this.data = data;
+    this.config = config;
+    this.historyStore = config.historyFile ? new HistoryStore(config.historyFile) : null;
+    // Reports by filter; the dataset never changes while the server runs
+    this.cache = new Map();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - TCP port
+   * @param {string} host - Interface to bind
+   * @returns {Promise<string>} Base URL of the server
+   */
+  listen(port, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const { port: boundPort } = this.server.address();
+        resolve(`http://${host}:${boundPort}`);
+      });
+    });
+  }
+
+  /**
+   * Stop accepting connections and wait for open ones to finish
+   * @returns {Promise<void>}
+   */
+  close() {
+    this.server.closeAllConnections();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Parse and validate the subreddit and hours query parameters
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Object} {subreddits, hours}; null means no filter
+   */
+  parseFilter(params) {
+    const subreddits = params.get('subreddit')
+      ? params.get('subreddit').split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+      : null;
+
+    let hours = null;
+    if (params.get('hours')) {
+      if (!/^\d+$/.test(params.get('hours')) || parseInt(params.get('hours'), 10) < 1) {
+        throw new RequestError(400, `hours must be a positive whole number, got "${params.get('hours')}"`);
+      }
+      hours = parseInt(params.get('hours'), 10);
+    }
+
+    return { subreddits, hours };
+  }
+
+  /**
+   * Start of the "last N hours" window. The window ends when the data was captured,
+   * so old snapshots still have a "last 24h" for both the report and the run history.
+   * @param {number} hours - Window length in hours
+   * @returns {number} Unix time in seconds
+   */
+  windowStart(hours) {
+    return new Date(this.data.capturedAt).getTime() / 1000 - hours * 3600;
+  }
+
+  /**
+   * Restrict the dataset to some subreddits and to posts from the last N hours.
+   * @param {Object} filter - Output of parseFilter
+   * @returns {Object} Filtered data in the shape of loadData
+   */
+  filterData({ subreddits, hours }) {
+    const posts = this.data.posts.filter(post =>
+      (!subreddits || subreddits.includes(post.subreddit.toLowerCase())) &&
+      (!hours || post.created_utc >= this.windowStart(hours))
+    );
+    const postIds = new Set(posts.map(post => post.id));
+
+    return {
+      ...this.data,
+      posts,
+      comments: this.data.comments.filter(comment => postIds.has(comment.post_id)),
+      subreddits: subreddits
+        ? this.data.subreddits.filter(name => subreddits.includes(name.toLowerCase()))
+        : this.data.subreddits
+    };
+  }
+
+  /**
+   * Build (or reuse) the report for a filter
+   * @param {Object} filter - Output of parseFilter
+   * @returns {Promise<Object>} Report model
+   */
+  async getReport(filter) {
+    const key = JSON.stringify(filter);
+    if (!this.cache.has(key)) {
+      const data = this.filterData(filter);
+      if (data.posts.length === 0) {
+        throw new RequestError(404, 'No posts match this subreddit and time window');
+      }
+      const previousRuns = this.historyStore ? await this.historyStore.loadRuns(this.config.historyWindow) : [];
+      const results = this.app.analyze(data, this.config, previousRuns);
+      this.cache.set(key, this.app.reportBuilder.build(results));
+    }
+    return this.cache.get(key);
+  }
+
+  /**
+   * Recorded runs, optionally limited to some subreddits and to the last N hours
+   * @param {Object} filter - Output of parseFilter
+   * @returns {Promise<Array>} Run summaries, oldest first
+   */
+  async getHistory({ subreddits, hours }) {
+    const runs = this.historyStore ? await this.historyStore.loadRuns() : [];
+    const since = hours ? this.windowStart(hours) : 0;
+
+    return runs
+      .filter(run => new Date(run.capturedAt).getTime() / 1000 >= since)
+      .filter(run => !subreddits || (run.subreddits || []).some(name => subreddits.includes(name.toLowerCase())))
+      .map(run => ({
+        capturedAt: run.capturedAt,
+        recordedAt: run.recordedAt,
+        subreddits: run.subreddits,
+        postsCount: run.postsCount,
+        commentsCount: run.commentsCount,
+        averageSentiment: run.sentiment?.averageScore ?? null,
+        topKeywords: (run.keywords || []).slice(0, 10)
+      }));
+  }
+
+  /**
+   * Write a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status code
+   * @param {*} body - Serializable body
+   */
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Route a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handle(req, res) {
+    const started = Date.now();
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method !== 'GET') {
+        throw new RequestError(405, `Method ${req.method} not allowed`);
+      }
+
+      if (url.pathname === '/' || url.pathname === '/dashboard.html') {
+        const html = await fs.readFile(path.join(PUBLIC_DIR, 'dashboard.html'));
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(html);
+      } else if (url.pathname === '/api/dataset') {
+        this.sendJson(res, 200, {
+          capturedAt: this.data.capturedAt,
+          source: this.data.source,
+          subreddits: this.data.subreddits,
+          postsCount: this.data.posts.length,
+          commentsCount: this.data.comments.length
+        });
+      } else if (url.pathname === '/api/history') {
+        this.sendJson(res, 200, await this.getHistory(this.parseFilter(url.searchParams)));
+      } else if (ENDPOINTS[url.pathname]) {
+        const report = await this.getReport(this.parseFilter(url.searchParams));
+        this.sendJson(res, 200, ENDPOINTS[url.pathname](report));
+      } else {
+        throw new RequestError(404, `No endpoint ${url.pathname}`);
+      }
+    } catch (error) {
+      if (!(error instanceof RequestError)) {
+        console.error(chalk.red(`❌ ${req.method} ${url.pathname} failed:`), error);
+      }
+      this.sendJson(res, error.status || 500, { error: error instanceof RequestError ? error.message : 'Internal error' });
+    }
+
+    console.log(chalk.gray(`${req.method} ${url.pathname}${url.search} ${res.statusCode} ${Date.now() - started}ms`));
+  }
+}
+
+export default ApiServer;
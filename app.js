@@ -0,0 +1,571 @@
+import RedditClient from './redditClient.js';
+import SnapshotStore from './snapshotStore.js';
+import HistoryStore from './historyStore.js';
+import SentimentAnalyzer from './sentimentAnalyzer.js';
+import TrendAnalyzer from './trendAnalyzer.js';
+import EngagementAnalyzer from './engagementAnalyzer.js';
+import TitleAnalyzer from './titleAnalyzer.js';
+import TextPreprocessor from './textPreprocessor.js';
+import ScoringModel from './scoringModels.js';
+import ReportBuilder from './reportBuilder.js';
+import ResultsDisplay from './resultsDisplay.js';
+import { createExporter } from './reportExporters.js';
+import AlertMonitor from './alertMonitor.js';
+import { createAlertSink } from './alertSinks.js';
+import { loadSources } from './sourceAdapters.js';
+import ApiServer from './apiServer.js';
+import { loadScoringSettings, loadSentimentSettings, loadStopwords } from './config.js';
+import { ConfigError, NoDataError, RedditApiError } from './errors.js';
+import chalk from 'chalk';
+
+/**
+ * Main application - one method per CLI command
+ */
+class RedditTrendAnalyzerApp {
+  constructor() {
+    // Created lazily so replay mode works without Reddit credentials
+    this.redditClient = null;
+    this.snapshotStore = new SnapshotStore();
+    this.sentimentAnalyzer = new SentimentAnalyzer();
+    this.trendAnalyzer = new TrendAnalyzer();
+    this.engagementAnalyzer = new EngagementAnalyzer();
+    this.titleAnalyzer = new TitleAnalyzer();
+    this.reportBuilder = new ReportBuilder();
+  }
+
+  /**
+   * Apply analysis settings before any command runs
+   * @param {Object} config - Configuration from loadConfig
+   */
+  async configure(config) {
+    const preprocessor = new TextPreprocessor({
+      stopWords: config.stopwordsFile ? await loadStopwords(config.stopwordsFile) : undefined,
+      stemming: config.stemming === 'on'
+    });
+    if (config.stopwordsFile) {
+      console.log(chalk.gray(`Stopwords: ${config.stopwordsFile}`));
+    }
+
+    const scoringModel = new ScoringModel(
+      config.scoringConfigFile ? await loadScoringSettings(config.scoringConfigFile) : {}
+    );
+    if (config.scoringConfigFile) {
+      console.log(chalk.gray(`Scoring settings: ${config.scoringConfigFile}`));
+    }
+
+    this.trendAnalyzer = new TrendAnalyzer({ keywordRanking: config.keywordRanking, preprocessor, scoringModel });
+    this.engagementAnalyzer = new EngagementAnalyzer({ timezone: config.timezone, preprocessor });
+
+    const sentimentSettings = config.sentimentConfigFile
+      ? await loadSentimentSettings(config.sentimentConfigFile)
+      : {};
+    this.sentimentAnalyzer = new SentimentAnalyzer(sentimentSettings, preprocessor);
+    if (config.sentimentConfigFile) {
+      console.log(chalk.gray(`Sentiment settings: ${config.sentimentConfigFile}`));
+    }
+  }
+
+  /**
+   * Create the Reddit client on first use
+   * @returns {RedditClient} Reddit client
+   */
+  getRedditClient() {
+    if (!this.redditClient) {
+      try {
+        this.redditClient = new RedditClient();
+      } catch (error) {
+        if (error instanceof ConfigError) throw error;
+        throw new RedditApiError(`Cannot create Reddit client: ${error.message}`);
+      }
+    }
+    return this.redditClient;
+  }
+
+  /**
+   * Fetch posts and comments from Reddit
+   * @param {Object} config - Configuration from loadConfig
+   * @returns {Promise<Object>} {posts, comments, subreddits, capturedAt, source}
+   */
+  async fetchData(config) {
+    console.log(chalk.gray(`Analyzing subreddits: ${config.subreddits.join(', ')}`));
+    console.log(chalk.gray(`Post limit per subreddit: ${config.postLimit}`));
+    console.log(chalk.gray(`Comment limit per post: ${config.commentLimit} ` +
+      `(depth ${config.commentDepth}, budget ${config.commentBudget})`));
+    console.log(chalk.gray(`Listing sources: ${config.sources}\n`));
+
+    const sources = this.getSourceConfig(config);
+
+    // Fetch data
+    console.log(chalk.bold('📥 Fetching data from Reddit...'));
+    const { posts, comments } = await this.getRedditClient().fetchPostsWithComments(
+      config.subreddits,
+      config.postLimit,
+      config.commentLimit,
+      {
+        sources,
+        commentDepth: config.commentDepth,
+        commentBudget: config.commentBudget,
+        maxPostsForComments: config.maxPostsForComments,
+        commentPostOrder: config.commentPostOrder,
+        commentConcurrency: config.commentConcurrency,
+        scoringModel: this.trendAnalyzer.scoringModel,
+        checkpointPath: config.checkpointFile,
+        snapshotPath: config.snapshotFile
+      }
+    );
+
+    if (posts.length === 0) {
+      throw new NoDataError('No posts found. Check subreddit names, listing sources and Reddit credentials.');
+    }
+
+    return {
+      posts,
+      comments,
+      subreddits: config.subreddits,
+      capturedAt: new Date().toISOString(),
+      source: { type: 'reddit', file: config.snapshotFile || null }
+    };
+  }
+
+  /**
+   * Load posts and comments from a saved snapshot
+   * @param {string} file - Snapshot file path
+   * @returns {Promise<Object>} {posts, comments, subreddits, capturedAt, source}
+   */
+  async loadSnapshot(file) {
+    console.log(chalk.bold(`📂 Replaying snapshot ${file}...`));
+    const snapshot = await this.snapshotStore.load(file);
+    const subreddits = snapshot.params.subreddits ||
+      [...new Set(snapshot.posts.map(post => post.subreddit))];
+    const capturedAt = snapshot.fetchCompletedAt || snapshot.createdAt;
+    console.log(chalk.gray(`Snapshot captured at: ${capturedAt}`));
+    console.log(chalk.gray(`Subreddits in snapshot: ${subreddits.join(', ')}\n`));
+
+    if (snapshot.posts.length === 0) {
+      throw new NoDataError(`Snapshot ${file} contains no posts.`);
+    }
+
+    return {
+      posts: snapshot.posts,
+      comments: snapshot.comments,
+      subreddits,
+      capturedAt,
+      source: { type: 'snapshot', file }
+    };
+  }
+
+  /**
+   * Load posts and comments from local files through the source adapters
+   * @param {Object} config - Configuration from loadConfig; inputFiles is required
+   * @returns {Promise<Object>} {posts, comments, subreddits, capturedAt, source}
+   */
+  async loadInput(config) {
+    const files = config.inputFiles;
+    console.log(chalk.bold(`📂 Reading ${files.join(', ')} (format: ${config.inputFormat})...`));
+    const { posts, comments, skipped } = await loadSources(files, {
+      format: config.inputFormat,
+      community: config.inputCommunity
+    });
+
+    if (skipped.length > 0) {
+      console.log(chalk.yellow(`⚠️  Skipped ${skipped.length} records that do not fit the post/comment schema:`));
+      skipped.slice(0, 5).forEach(({ record, reason }) => console.log(chalk.gray(`   ${record}: ${reason}`)));
+      if (skipped.length > 5) console.log(chalk.gray(`   ...and ${skipped.length - 5} more`));
+    }
+
+    if (posts.length === 0) {
+      throw new NoDataError(`No valid posts in ${files.join(', ')}.`);
+    }
+
+    // Archives describe the past, so they count as captured when their newest item was
+    // posted: the emerging topic window, trending score ages and the serve filter end there
+    const newest = [...posts, ...comments].reduce((max, item) => Math.max(max, item.created_utc), 0);
+    const capturedAt = new Date(newest * 1000).toISOString();
+    const subreddits = [...new Set(posts.map(post => post.subreddit))];
+    console.log(chalk.gray(`Loaded ${posts.length} posts and ${comments.length} comments, newest from ${capturedAt}`));
+    console.log(chalk.gray(`Communities: ${subreddits.join(', ')}\n`));
+
+    return {
+      posts,
+      comments,
+      subreddits,
+      capturedAt,
+      source: { type: 'input', file: files.join(', '), format: config.inputFormat }
+    };
+  }
+
+  /**
+   * Load posts and comments from Reddit, a replayed snapshot or local input files
+   * @param {Object} config - Configuration from loadConfig
+   * @returns {Promise<Object>} {posts, comments, subreddits, capturedAt, source}
+   */
+  async loadData(config) {
+    if (config.replayFile) return this.loadSnapshot(config.replayFile);
+    if (config.inputFiles) return this.loadInput(config);
+    return this.fetchData(config);
+  }
+
+  /**
+   * Run sentiment and trend analysis over loaded data
+   * @param {Object} data - Output of loadData
+   * @param {Object} config - Configuration from loadConfig
+   * @param {Array} previousRuns - Previous run records from HistoryStore
+   * @returns {Object} Raw analysis results for ReportBuilder
+   */
+  analyze(data, config, previousRuns = []) {
+    const { posts, comments } = data;
+
+    // Perform sentiment analysis
+    console.log(chalk.bold('😊 Analyzing sentiment...'));
+    const postsWithSentiment = this.sentimentAnalyzer.analyzePosts(posts);
+    const commentsWithSentiment = this.sentimentAnalyzer.analyzeComments(comments);
+
+    const sentimentStats = this.sentimentAnalyzer.getStatistics(postsWithSentiment);
+    const sentimentDistribution = this.sentimentAnalyzer.getDistribution(sentimentStats);
+    const commentStats = comments.length > 0
+      ? this.sentimentAnalyzer.getStatistics(commentsWithSentiment)
+      : null;
+
+    // Perform trend analysis
+    console.log(chalk.bold('📈 Analyzing trends...'));
+    const trendingKeywords = this.trendAnalyzer.analyzeTrendingKeywords(posts, config.minKeywordFreq);
+    const commentTrends = this.trendAnalyzer.analyzeCommentTrends(comments, config.minKeywordFreq);
+    const trendsBySubreddit = this.trendAnalyzer.getTrendsBySubreddit(posts);
+    const subredditOverlap = this.trendAnalyzer.compareSubreddits(posts, comments);
+    const rankedPosts = this.trendAnalyzer.getTopTrendingPosts(postsWithSentiment, posts.length, {
+      capturedAt: data.capturedAt,
+      previousRuns
+    });
+    const trendingPosts = rankedPosts.slice(0, 10);
+    const emergingTopics = this.trendAnalyzer.getEmergingTopics(posts, config.emergingWindowHours, {
+      minSupport: config.emergingMinSupport,
+      minZScore: config.emergingMinZScore,
+      history: previousRuns,
+      capturedAt: data.capturedAt
+    });
+    const themes = this.trendAnalyzer.clusterTopics(rankedPosts, {
+      minFrequency: config.minKeywordFreq,
+      minSimilarity: config.themeSimilarity,
+      maxThemes: config.maxThemes
+    }).map(theme => ({ ...theme, sentiment: this.sentimentAnalyzer.getStatistics(theme.posts) }));
+
+    // Compare against previous runs
+    const keywordVelocity = config.historyFile
+      ? this.trendAnalyzer.calculateKeywordVelocity(trendingKeywords, posts.length, previousRuns)
+      : trendingKeywords;
+
+    return {
+      capturedAt: data.capturedAt,
+      source: data.source,
+      subreddits: data.subreddits,
+      postsCount: posts.length,
+      commentsCount: comments.length,
+      previousRunAt: previousRuns.length > 0 ? previousRuns[previousRuns.length - 1].capturedAt : null,
+      scoring: {
+        weights: Object.fromEntries(this.trendAnalyzer.scoringModel.active.map(({ name, weight }) => [name, weight])),
+        standardized: this.trendAnalyzer.scoringModel.standardized
+      },
+      trendingKeywords,
+      keywordVelocity,
+      trendsBySubreddit,
+      subredditOverlap,
+      themes,
+      engagementTiming: this.engagementAnalyzer.analyze(posts),
+      titlePatterns: this.titleAnalyzer.analyze(postsWithSentiment),
+      rankedPosts,
+      trendingPosts,
+      sentimentStats,
+      subredditSentiment: this.sentimentAnalyzer.getStatisticsBySubreddit(postsWithSentiment),
+      sentimentDistribution,
+      commentStats,
+      commentDistribution: commentStats ? this.sentimentAnalyzer.getDistribution(commentStats) : null,
+      depthStats: this.sentimentAnalyzer.getStatisticsByDepth(commentsWithSentiment),
+      emergingWindowHours: config.emergingWindowHours,
+      emergingTopics,
+      keywordSentiment: this.sentimentAnalyzer.getKeywordSentiment(
+        this.trendAnalyzer.getKeywordMentions(trendingKeywords, posts, comments)
+      ),
+      postIdsByKeyword: this.getPostIdsByKeyword([...trendingKeywords, ...emergingTopics], posts),
+      commentOnlyKeywords: this.trendAnalyzer.getCommentOnlyKeywords(commentTrends, posts),
+      mentionSignals: this.trendAnalyzer.getMentionSignals(posts, comments),
+      divergence: this.sentimentAnalyzer.getSentimentDivergence(postsWithSentiment, commentsWithSentiment),
+      topComments: this.trendAnalyzer.getTopCommentsByPost(trendingPosts, comments),
+      threadActivity: this.trendAnalyzer.getThreadActivity(commentsWithSentiment),
+      replyTrends: this.trendAnalyzer.analyzeCommentTrends(
+        comments.filter(comment => comment.depth > 0),
+        config.minKeywordFreq
+      )
+    };
+  }
+
+  /**
+   * Posts mentioning each keyword, for the recommendation engine
+   * @param {Array} keywords - Keywords or emerging topics ({keyword})
+   * @param {Array} posts - Array of post objects
+   * @returns {Object} Keyword → ids of the posts mentioning it
+   */
+  getPostIdsByKeyword(keywords, posts) {
+    const unique = [...new Map(keywords.map(item => [item.keyword, item])).values()];
+    const mentions = this.trendAnalyzer.getKeywordMentions(unique, posts);
+    return Object.fromEntries([...mentions.entries()].map(([keyword, items]) => [
+      keyword,
+      [...new Set(items.map(item => item.id))]
+    ]));
+  }
+
+  /**
+   * Render the report to the terminal and/or write export files
+   * @param {Object} report - Report model from ReportBuilder
+   * @param {Object} config - Configuration from loadConfig
+   */
+  async outputReport(report, config) {
+    if (config.reportFormats.includes('terminal')) {
+      ResultsDisplay.render(report);
+    }
+
+    const baseName = `report-${report.generatedAt.replace(/[:.]/g, '-')}`;
+    for (const format of config.reportFormats.filter(f => f !== 'terminal')) {
+      const files = await createExporter(format).export(report, config.reportDir, baseName);
+      files.forEach(file => console.log(chalk.green(`📄 Wrote ${format} report: ${file}`)));
+    }
+  }
+
+  /**
+   * `analyze` command: load data, analyze it, record history and output the report
+   * @param {Object} config - Configuration from loadConfig
+   * @returns {Promise<Object>} The report model
+   */
+  async analyzeCommand(config) {
+    const { report } = await this.runPipeline(config);
+    return report;
+  }
+
+  /**
+   * Load data, analyze it, record history and output the report
+   * @param {Object} config - Configuration from loadConfig
+   * @returns {Promise<Object>} {results, report}
+   */
+  async runPipeline(config) {
+    const data = await this.loadData(config);
+
+    console.log(chalk.green(`\n✓ Fetched ${data.posts.length} posts and ${data.comments.length} comments\n`));
+
+    // Load previous runs for velocity and emerging-topic baselines
+    const historyStore = config.historyFile ? new HistoryStore(config.historyFile) : null;
+    const previousRuns = historyStore ? await historyStore.loadRuns(config.historyWindow) : [];
+
+    const results = this.analyze(data, config, previousRuns);
+
+    // Record this run for future comparisons
+    if (historyStore) {
+      await historyStore.appendRun({
+        capturedAt: results.capturedAt,
+        subreddits: results.subreddits,
+        postsCount: results.postsCount,
+        commentsCount: results.commentsCount,
+        keywords: results.trendingKeywords,
+        // Posts mentioning each keyword, the baseline for later emerging-topic detection
+        keywordPosts: this.trendAnalyzer.getKeywordPostCounts(data.posts),
+        // Post engagement at capture time, for the velocity scoring formula
+        posts: results.rankedPosts.map(post => ({ id: post.id, score: post.score, num_comments: post.num_comments })),
+        subredditTrends: results.trendsBySubreddit,
+        sentiment: results.sentimentStats
+      });
+    }
+
+    console.log(chalk.green('\n✓ Analysis complete!\n'));
+
+    const report = this.reportBuilder.build(results);
+    await this.outputReport(report, config);
+    return { results, report };
+  }
+
+  /**
+   * `fetch` command: collect data into a snapshot without analyzing it
+   * @param {Object} config - Configuration from loadConfig; snapshotFile is required
+   */
+  async fetchCommand(config) {
+    if (!config.snapshotFile) {
+      throw new ConfigError('fetch needs a snapshot file: --snapshot <file> or SNAPSHOT_FILE');
+    }
+
+    let data;
+    if (config.inputFiles) {
+      data = await this.loadInput(config);
+      await this.snapshotStore.save(config.snapshotFile, {
+        posts: data.posts,
+        comments: data.comments,
+        params: { subreddits: data.subreddits, inputFiles: config.inputFiles, inputFormat: config.inputFormat },
+        fetchCompletedAt: data.capturedAt
+      });
+    } else {
+      data = await this.fetchData(config);
+    }
+    console.log(chalk.green(`\n✓ Saved ${data.posts.length} posts and ${data.comments.length} comments ` +
+      `to ${config.snapshotFile}\n`));
+  }
+
+  /**
+   * `compare` command: show how keywords and sentiment changed between two snapshots
+   * @param {string} beforeFile - Older snapshot file
+   * @param {string} afterFile - Newer snapshot file
+   * @param {Object} config - Configuration from loadConfig
+   * @returns {Promise<Object>} The comparison
+   */
+  async compareCommand(beforeFile, afterFile, config) {
+    const summarize = async file => {
+      const data = await this.loadSnapshot(file);
+      const posts = this.sentimentAnalyzer.analyzePosts(data.posts);
+      return {
+        file,
+        capturedAt: data.capturedAt,
+        postsCount: data.posts.length,
+        keywords: this.trendAnalyzer.analyzeTrendingKeywords(data.posts, config.minKeywordFreq),
+        sentiment: this.sentimentAnalyzer.getStatistics(posts)
+      };
+    };
+
+    const before = await summarize(beforeFile);
+    const after = await summarize(afterFile);
+
+    // Treat the older snapshot as the previous run so velocity means "since before"
+    const changes = this.trendAnalyzer.calculateKeywordVelocity(after.keywords, after.postsCount, [before]);
+    const afterKeywords = new Set(after.keywords.map(k => k.keyword));
+
+    const comparison = {
+      before,
+      after,
+      rising: changes.filter(k => k.velocity > 0).sort((a, b) => b.velocity - a.velocity),
+      falling: changes.filter(k => k.velocity < 0).sort((a, b) => a.velocity - b.velocity),
+      appeared: changes.filter(k => k.isNew),
+      disappeared: before.keywords.filter(k => !afterKeywords.has(k.keyword))
+    };
+
+    ResultsDisplay.displayComparison(comparison);
+    return comparison;
+  }
+
+  /**
+   * `watch` command: re-run the analysis every config.watchInterval minutes, diff each
+   * cycle against the previous one and send threshold alerts to the configured sinks
+   * @param {Object} config - Configuration from loadConfig
+   * @param {Object} control - {stopped} flag and a wake() hook set by the caller to end the loop
+   */
+  async watchCommand(config, control = { stopped: false }) {
+    const sinks = config.alertSinks.map(spec => createAlertSink(spec));
+    const monitor = new AlertMonitor({
+      keywordMentions: config.alertKeywordMentions,
+      keywordVelocity: config.alertKeywordVelocity,
+      postSpike: config.alertPostSpike,
+      sentimentSwing: config.alertSentimentSwing,
+      minMentions: config.minKeywordFreq
+    });
+    console.log(chalk.gray(`Alert sinks: ${sinks.join(', ')}`));
+
+    let cycle = 0;
+
+    while (!control.stopped) {
+      cycle++;
+      console.log(chalk.bold.magenta(`\n🔁 Watch cycle ${cycle} (${new Date().toLocaleString()})`));
+
+      try {
+        const { results } = await this.runPipeline(config);
+        const { diff, alerts } = monitor.evaluate(results);
+
+        if (diff) {
+          ResultsDisplay.displayCycleDiff(diff, alerts);
+        }
+        await this.sendAlerts(sinks, alerts.map(alert => ({ ...alert, cycle })));
+      } catch (error) {
+        // A broken configuration will not fix itself; anything else may be transient
+        if (error instanceof ConfigError) throw error;
+        console.error(chalk.red(`❌ Cycle ${cycle} failed: ${error.message}`));
+      }
+
+      if (control.stopped) break;
+      console.log(chalk.gray(`Next cycle in ${config.watchInterval} minutes. Press Ctrl+C to stop.`));
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, config.watchInterval * 60000);
+        control.wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
+  }
+
+  /**
+   * `serve` command: load a dataset once and serve it over HTTP until stopped
+   * @param {Object} config - Configuration from loadConfig
+   * @param {Object} control - {stopped} flag and a wake() hook set by the caller to end the server
+   */
+  async serveCommand(config, control = { stopped: false }) {
+    const data = await this.loadData(config);
+    const server = new ApiServer(this, data, config);
+
+    let url;
+    try {
+      url = await server.listen(config.serverPort, config.serverHost);
+    } catch (error) {
+      throw new ConfigError(`Cannot listen on ${config.serverHost}:${config.serverPort}: ${error.message}`);
+    }
+
+    console.log(chalk.green(`\n✓ Serving ${data.posts.length} posts and ${data.comments.length} comments`));
+    console.log(chalk.bold(`📊 Dashboard: ${url}/`));
+    console.log(chalk.gray(`JSON endpoints under ${url}/api/. Press Ctrl+C to stop.\n`));
+
+    if (!control.stopped) {
+      await new Promise(resolve => {
+        control.wake = resolve;
+      });
+    }
+    await server.close();
+  }
+
+  /**
+   * Deliver alerts to every sink; one failing sink does not stop the others
+   * @param {Array} sinks - Sinks from createAlertSink
+   * @param {Array} alerts - Alerts from AlertMonitor.evaluate
+   */
+  async sendAlerts(sinks, alerts) {
+    if (alerts.length === 0) return;
+
+    for (const sink of sinks) {
+      try {
+        await sink.send(alerts);
+      } catch (error) {
+        console.error(chalk.yellow(`⚠️  Could not send ${alerts.length} alerts to ${sink}: ${error.message}`));
+      }
+    }
+  }
+
+  /**
+   * Build listing source config from config.sources and per-subreddit SOURCES_<NAME> overrides
+   * @param {Object} config - Configuration from loadConfig
+   * @returns {Object} Source config for RedditClient.fetchPosts
+   */
+  getSourceConfig(config) {
+    const parse = (spec, origin) => {
+      try {
+        return RedditClient.parseSources(spec);
+      } catch (error) {
+        throw new ConfigError(`${origin}: ${error.message}`);
+      }
+    };
+
+    const bySubreddit = {};
+    config.subreddits.forEach(subreddit => {
+      const name = `SOURCES_${subreddit.toUpperCase()}`;
+      if (process.env[name]) {
+        bySubreddit[subreddit.toLowerCase()] = parse(process.env[name], name);
+      }
+    });
+
+    return {
+      default: parse(config.sources, 'sources'),
+      bySubreddit
+    };
+  }
+}
+
+export default RedditTrendAnalyzerApp;
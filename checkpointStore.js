@@ -0,0 +1,113 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { StorageError } from './errors.js';
+
+/**
+ * Current checkpoint file format version. Bump when the layout changes.
+ */
+export const CHECKPOINT_VERSION = 1;
+
+/**
+ * CheckpointStore - Persists the progress of a comment collection run so an
+ * interrupted run can resume where it stopped
+ */
+class CheckpointStore {
+  /**
+   * @param {string} filePath - Path of the checkpoint file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    // Saves run one at a time so a slow write never overwrites a newer one
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Load the checkpoint, if one exists
+   * @returns {Promise<Object|null>} {params, posts, selected, done, comments, startedAt} or null
+   */
+  async load() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new StorageError(`Cannot read checkpoint file ${this.filePath}: ${error.message}`);
+    }
+
+    let checkpoint;
+    try {
+      checkpoint = JSON.parse(raw);
+    } catch (error) {
+      throw new StorageError(`Checkpoint file ${this.filePath} is not valid JSON: ${error.message}`);
+    }
+
+    if (checkpoint.version !== CHECKPOINT_VERSION) {
+      throw new StorageError(
+        `Unsupported checkpoint version ${checkpoint.version} in ${this.filePath} (expected ${CHECKPOINT_VERSION})`
+      );
+    }
+
+    const lists = ['posts', 'selected', 'done', 'comments'];
+    if (lists.some(key => !Array.isArray(checkpoint[key]))) {
+      throw new StorageError(`Checkpoint file ${this.filePath} is missing one of: ${lists.join(', ')}`);
+    }
+
+    return checkpoint;
+  }
+
+  /**
+   * Write the current progress. The file is replaced atomically, so a crash
+   * mid-write leaves the previous checkpoint intact.
+   * @param {Object} state - Progress to persist
+   * @param {Object} state.params - Parameters of the run
+   * @param {Array} state.posts - Every post fetched from the listings
+   * @param {Array<string>} state.selected - IDs of posts to fetch comments for, in order
+   * @param {Array<string>} state.done - IDs of posts whose comments are fetched
+   * @param {Array} state.comments - Comments fetched so far
+   * @param {string} state.startedAt - ISO timestamp when the run started
+   * @returns {Promise<void>}
+   */
+  save({ params, posts, selected, done, comments, startedAt }) {
+    const body = JSON.stringify({
+      version: CHECKPOINT_VERSION,
+      updatedAt: new Date().toISOString(),
+      startedAt,
+      params,
+      posts,
+      selected,
+      done,
+      comments
+    });
+
+    // Chain on the previous write's outcome, not its success: one failed write must
+    // not skip every later one. Each caller gets its own write's error.
+    const write = this.pending.catch(() => {}).then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      try {
+        await fs.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+        await fs.writeFile(tempPath, body, 'utf8');
+        await fs.rename(tempPath, this.filePath);
+      } catch (error) {
+        throw new StorageError(`Cannot write checkpoint file ${this.filePath}: ${error.message}`);
+      }
+    });
+
+    this.pending = write;
+    return write;
+  }
+
+  /**
+   * Remove the checkpoint once the run is complete
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.pending.catch(() => {});
+    try {
+      await fs.rm(this.filePath, { force: true });
+    } catch (error) {
+      throw new StorageError(`Cannot remove checkpoint file ${this.filePath}: ${error.message}`);
+    }
+  }
+}
+
+export default CheckpointStore;
@@ -0,0 +1,267 @@
+import chalk from 'chalk';
+import { CONFIG_OPTIONS, loadConfig } from './config.js';
+import { AnalyzerError, ConfigError, RedditApiError, StorageError, NoDataError, EXIT_CODES } from './errors.js';
+
+/**
+ * Options that only affect fetching; shown in help for commands that talk to Reddit
+ */
+const FETCH_OPTIONS = [
+  'subreddits', 'sources', 'postLimit', 'commentLimit', 'commentDepth', 'commentBudget',
+  'maxPostsForComments', 'commentPostOrder', 'commentConcurrency', 'checkpointFile'
+];
+
+/**
+ * Options for analyzing local files instead of Reddit
+ */
+const INPUT_OPTIONS = ['inputFiles', 'inputFormat', 'inputCommunity'];
+
+/**
+ * Options that only affect analysis and report output
+ */
+const ANALYSIS_OPTIONS = [
+  'minKeywordFreq', 'keywordRanking', 'stopwordsFile', 'stemming', 'scoringConfigFile', 'sentimentConfigFile',
+  'historyFile', 'historyWindow', 'emergingWindowHours', 'emergingMinSupport', 'emergingMinZScore',
+  'themeSimilarity', 'maxThemes', 'timezone', 'reportFormats', 'reportDir'
+];
+
+const COMMANDS = {
+  analyze: {
+    usage: 'analyze [options]',
+    description: 'Fetch from Reddit (or replay a snapshot, or read local files) and print the trend report',
+    options: [...FETCH_OPTIONS, 'snapshotFile', 'replayFile', ...INPUT_OPTIONS, ...ANALYSIS_OPTIONS]
+  },
+  fetch: {
+    usage: 'fetch --snapshot <file> [options]',
+    description: 'Fetch posts and comments (or convert local files) into a snapshot file without analyzing',
+    options: [...FETCH_OPTIONS, ...INPUT_OPTIONS, 'snapshotFile']
+  },
+  report: {
+    usage: 'report <snapshot> [options]',
+    description: 'Analyze a saved snapshot file offline',
+    args: ['snapshot'],
+    options: ANALYSIS_OPTIONS
+  },
+  compare: {
+    usage: 'compare <before> <after> [options]',
+    description: 'Show keyword and sentiment changes between two snapshots',
+    args: ['before', 'after'],
+    options: ['minKeywordFreq', 'keywordRanking', 'stopwordsFile', 'stemming', 'sentimentConfigFile']
+  },
+  watch: {
+    usage: 'watch [options]',
+    description: 'Re-run analyze on an interval and alert on changes until interrupted',
+    options: [
+      ...FETCH_OPTIONS, 'snapshotFile', 'replayFile', ...INPUT_OPTIONS, ...ANALYSIS_OPTIONS, 'watchInterval',
+      'alertKeywordMentions', 'alertKeywordVelocity', 'alertPostSpike', 'alertSentimentSwing', 'alertSinks'
+    ]
+  },
+  serve: {
+    usage: 'serve [--replay <snapshot> | --input <files>] [options]',
+    description: 'Serve a dashboard and JSON API over one dataset until interrupted',
+    options: [
+      ...FETCH_OPTIONS, 'snapshotFile', 'replayFile', ...INPUT_OPTIONS, ...ANALYSIS_OPTIONS, 'serverPort', 'serverHost'
+    ]
+  },
+  help: {
+    usage: 'help [command]',
+    description: 'Show help for all commands or one command'
+  }
+};
+
+/**
+ * Cli - Parses arguments, dispatches commands and maps failures to exit codes
+ */
+class Cli {
+  /**
+   * @param {RedditTrendAnalyzerApp} app - Application whose command methods are invoked
+   */
+  constructor(app) {
+    this.app = app;
+  }
+
+  /**
+   * Split argv into a command, positional arguments and flags
+   * @param {Array<string>} argv - Arguments after the script name
+   * @returns {Object} {command, args, flags, help}; command is null when none was given
+   */
+  parseArgs(argv) {
+    const knownFlags = new Set(CONFIG_OPTIONS.map(option => option.flag));
+    const args = [];
+    const flags = {};
+    let help = false;
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+
+      if (arg === '-h' || arg === '--help') {
+        help = true;
+        continue;
+      }
+
+      if (!arg.startsWith('--')) {
+        if (arg.startsWith('-') && arg.length > 1) {
+          throw new ConfigError(`Unknown option "${arg}"`);
+        }
+        args.push(arg);
+        continue;
+      }
+
+      const separator = arg.indexOf('=');
+      const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+      if (!knownFlags.has(name)) {
+        throw new ConfigError(`Unknown option "--${name}"`);
+      }
+
+      if (separator !== -1) {
+        flags[name] = arg.slice(separator + 1);
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        flags[name] = argv[++i];
+      } else {
+        throw new ConfigError(`Option "--${name}" needs a value`);
+      }
+    }
+
+    // No command name means analyze, so `node index.js --post-limit 10` keeps working
+    const command = args.length > 0 && COMMANDS[args[0]] ? args.shift() : null;
+    return { command, args, flags, help };
+  }
+
+  /**
+   * Print general help or help for a single command
+   * @param {string} command - Command name, or null for the overview
+   */
+  printHelp(command) {
+    const spec = COMMANDS[command];
+
+    if (!spec || command === 'help') {
+      console.log(chalk.bold('Usage: reddit-trends <command> [options]\n'));
+      console.log(chalk.bold('Commands:'));
+      Object.entries(COMMANDS).forEach(([name, item]) => {
+        console.log(`  ${name.padEnd(10)}${item.description}`);
+      });
+      console.log('\nRun "reddit-trends help <command>" for the options of a command.');
+      console.log('Every option can also be set with the environment variable shown in its help.');
+      console.log(chalk.bold('\nExit codes:'));
+      console.log('  0 success, 1 unexpected error, 2 invalid configuration,');
+      console.log('  3 Reddit API failure, 4 file read/write failure, 5 no data');
+      return;
+    }
+
+    console.log(chalk.bold(`Usage: reddit-trends ${spec.usage}\n`));
+    console.log(`${spec.description}\n`);
+    console.log(chalk.bold('Options:'));
+    CONFIG_OPTIONS.filter(option => spec.options.includes(option.key)).forEach(option => {
+      const defaultText = option.default === null ? '' : ` (default: ${option.default})`;
+      console.log(`  --${option.flag.padEnd(22)}${option.description}${defaultText}`);
+      console.log(chalk.gray(`  ${''.padEnd(24)}env: ${option.env}`));
+    });
+    console.log(`  ${'-h, --help'.padEnd(24)}Show this help`);
+  }
+
+  /**
+   * Run the CLI
+   * @param {Array<string>} argv - Arguments after the script name
+   * @returns {Promise<number>} Process exit code
+   */
+  async run(argv) {
+    try {
+      const parsed = this.parseArgs(argv);
+      const { args, flags } = parsed;
+
+      if (parsed.command === 'help' || parsed.help) {
+        this.printHelp(parsed.command === 'help' ? args[0] : parsed.command);
+        return EXIT_CODES.OK;
+      }
+
+      const command = parsed.command || 'analyze';
+      const spec = COMMANDS[command];
+      const expectedArgs = spec.args || [];
+      if (args.length !== expectedArgs.length) {
+        const problem = args.length > expectedArgs.length
+          ? `Unexpected argument "${args[expectedArgs.length]}"`
+          : `Missing <${expectedArgs[args.length]}>`;
+        throw new ConfigError(`${problem}. Usage: reddit-trends ${spec.usage}`);
+      }
+
+      const config = loadConfig(flags);
+      console.log(chalk.bold.cyan('\n🚀 Reddit Trend Analyzer\n'));
+      await this.app.configure(config);
+
+      switch (command) {
+        case 'fetch':
+          await this.app.fetchCommand(config);
+          break;
+        case 'report':
+          await this.app.analyzeCommand({ ...config, replayFile: args[0] });
+          break;
+        case 'compare':
+          await this.app.compareCommand(args[0], args[1], config);
+          break;
+        case 'watch':
+          await this.runUntilInterrupted('watch mode', control => this.app.watchCommand(config, control));
+          break;
+        case 'serve':
+          await this.runUntilInterrupted('server', control => this.app.serveCommand(config, control));
+          break;
+        default:
+          await this.app.analyzeCommand(config);
+      }
+
+      return EXIT_CODES.OK;
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Run a long-lived command that stops cleanly on Ctrl+C
+   * @param {string} label - What is being stopped, for the console message
+   * @param {Function} command - Receives a {stopped, wake} control object and returns a promise
+   */
+  async runUntilInterrupted(label, command) {
+    const control = { stopped: false, wake: () => {} };
+    const stop = () => {
+      console.log(chalk.yellow(`\n⏹  Stopping ${label}...`));
+      control.stopped = true;
+      control.wake();
+    };
+
+    process.once('SIGINT', stop);
+    try {
+      await command(control);
+    } finally {
+      process.removeListener('SIGINT', stop);
+    }
+  }
+
+  /**
+   * Print an error with hints for its failure class
+   * @param {Error} error - The error that ended the command
+   * @returns {number} Exit code for the error
+   */
+  handleError(error) {
+    if (!(error instanceof AnalyzerError)) {
+      console.error(chalk.red('\n❌ Unexpected error:'), error);
+      return EXIT_CODES.UNEXPECTED;
+    }
+
+    console.error(chalk.red(`\n❌ ${error.message}`));
+
+    if (error instanceof ConfigError) {
+      console.error(chalk.gray('\nRun with --help to see available commands and options.'));
+    } else if (error instanceof RedditApiError) {
+      console.error(chalk.gray('\nPlease ensure:'));
+      console.error(chalk.gray('  1. Your .env file is properly configured'));
+      console.error(chalk.gray('  2. Your Reddit API credentials are valid'));
+      console.error(chalk.gray('  3. You have an active internet connection'));
+    } else if (error instanceof StorageError) {
+      console.error(chalk.gray('\nCheck that the file exists, is readable and that its directory is writable.'));
+    } else if (error instanceof NoDataError) {
+      console.error(chalk.gray('\nTry other subreddits or listing sources, or a larger --post-limit.'));
+    }
+
+    return error.exitCode;
+  }
+}
+
+export default Cli;
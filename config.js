@@ -0,0 +1,363 @@
+import fs from 'fs/promises';
+import { ConfigError } from './errors.js';
+import { EXPORT_FORMATS } from './reportExporters.js';
+import { DEFAULT_SENTIMENT_SETTINGS } from './sentimentAnalyzer.js';
+import { COMMENT_POST_ORDERS } from './redditClient.js';
+import { SOURCE_FORMATS } from './sourceAdapters.js';
+import { KEYWORD_RANKINGS } from './trendAnalyzer.js';
+import { DEFAULT_SCORING_SETTINGS } from './scoringModels.js';
+
+/**
+ * Every setting that can come from a CLI flag or an environment variable.
+ * Flags override environment values, which override defaults.
+ */
+export const CONFIG_OPTIONS = [
+  { key: 'subreddits', flag: 'subreddits', env: 'SUBREDDITS', type: 'list', default: 'technology,gaming,movies',
+    description: 'Comma-separated subreddits to analyze (without r/)' },
+  { key: 'sources', flag: 'sources', env: 'SOURCES', type: 'string', default: 'hot',
+    description: 'Listing sources, e.g. hot,top:week,search:month=steam deck' },
+  { key: 'postLimit', flag: 'post-limit', env: 'POST_LIMIT', type: 'int', default: '50',
+    description: 'Posts to fetch per subreddit and source' },
+  { key: 'commentLimit', flag: 'comment-limit', env: 'COMMENT_LIMIT', type: 'int', default: '20',
+    description: 'Top-level comments to fetch per post' },
+  { key: 'commentDepth', flag: 'comment-depth', env: 'COMMENT_DEPTH', type: 'int', default: '1',
+    description: 'Reply levels to fetch per post (1 = top-level only)' },
+  { key: 'commentBudget', flag: 'comment-budget', env: 'COMMENT_BUDGET', type: 'int', default: null,
+    description: 'Max comments per post across all levels (default: limit x depth)' },
+  { key: 'maxPostsForComments', flag: 'comment-posts', env: 'MAX_POSTS_FOR_COMMENTS', type: 'int', default: '20',
+    description: 'Posts to fetch comments for' },
+  { key: 'commentPostOrder', flag: 'comment-posts-by', env: 'COMMENT_POSTS_BY', type: 'string', default: 'fetch',
+    description: `Which posts get comments: ${COMMENT_POST_ORDERS.join(', ')}` },
+  { key: 'commentConcurrency', flag: 'comment-concurrency', env: 'COMMENT_CONCURRENCY', type: 'int', default: '4',
+    description: 'Comment requests in flight at once' },
+  { key: 'checkpointFile', flag: 'checkpoint', env: 'CHECKPOINT_FILE', type: 'string', default: null,
+    description: 'Save comment fetch progress here and resume from it' },
+  { key: 'keywordRanking', flag: 'keyword-ranking', env: 'KEYWORD_RANKING', type: 'string', default: 'weighted',
+    description: `Keyword order: ${KEYWORD_RANKINGS.join(', ')}` },
+  { key: 'stopwordsFile', flag: 'stopwords', env: 'STOPWORDS_FILE', type: 'string', default: null,
+    description: 'Text file with one stopword per line, replacing the built-in list' },
+  { key: 'stemming', flag: 'stemming', env: 'STEMMING', type: 'string', default: 'on',
+    description: 'Count "game", "games" and "gaming" as one keyword: on, off' },
+  { key: 'minKeywordFreq', flag: 'min-frequency', env: 'MIN_KEYWORD_FREQUENCY', type: 'int', default: '3',
+    description: 'Minimum mentions for a keyword to be trending' },
+  { key: 'snapshotFile', flag: 'snapshot', env: 'SNAPSHOT_FILE', type: 'string', default: null,
+    description: 'Save fetched data to this snapshot file' },
+  { key: 'replayFile', flag: 'replay', env: 'REPLAY_FILE', type: 'string', default: null,
+    description: 'Analyze this snapshot file instead of fetching' },
+  { key: 'inputFiles', flag: 'input', env: 'INPUT_FILES', type: 'list', default: null,
+    description: 'Analyze these local files instead of fetching (comma-separated)' },
+  { key: 'inputFormat', flag: 'input-format', env: 'INPUT_FORMAT', type: 'string', default: 'auto',
+    description: `Format of the input files: auto, ${SOURCE_FORMATS.join(', ')}` },
+  { key: 'inputCommunity', flag: 'community', env: 'INPUT_COMMUNITY', type: 'string', default: null,
+    description: 'Community name for input records without a subreddit' },
+  { key: 'historyFile', flag: 'history', env: 'HISTORY_FILE', type: 'string', default: null,
+    description: 'JSON-lines run history file for velocity tracking' },
+  { key: 'historyWindow', flag: 'history-window', env: 'HISTORY_WINDOW', type: 'int', default: '5',
+    description: 'Previous runs to compare against' },
+  { key: 'emergingWindowHours', flag: 'emerging-hours', env: 'EMERGING_WINDOW_HOURS', type: 'int', default: '24',
+    description: 'Recent window for emerging topics, in hours' },
+  { key: 'emergingMinSupport', flag: 'emerging-min-support', env: 'EMERGING_MIN_SUPPORT', type: 'int', default: '3',
+    description: 'Minimum recent posts mentioning an emerging topic' },
+  { key: 'emergingMinZScore', flag: 'emerging-min-zscore', env: 'EMERGING_MIN_ZSCORE', type: 'float', default: '1.96',
+    description: 'Minimum z-score for an emerging topic' },
+  { key: 'themeSimilarity', flag: 'theme-similarity', env: 'THEME_SIMILARITY', type: 'float', default: '0.2',
+    description: 'Minimum similarity (0-1) for keywords to share a theme' },
+  { key: 'maxThemes', flag: 'max-themes', env: 'MAX_THEMES', type: 'int', default: '8',
+    description: 'Maximum number of themes in the report' },
+  { key: 'timezone', flag: 'timezone', env: 'TIMEZONE', type: 'string', default: null,
+    description: 'Time zone for posting-time analytics, e.g. America/New_York (default: system)' },
+  { key: 'scoringConfigFile', flag: 'scoring-config', env: 'SCORING_CONFIG', type: 'string', default: null,
+    description: 'JSON file with trending score formula weights and parameters' },
+  { key: 'sentimentConfigFile', flag: 'sentiment-config', env: 'SENTIMENT_CONFIG', type: 'string', default: null,
+    description: 'JSON file with sentiment thresholds, weights and lexicon' },
+  { key: 'reportFormats', flag: 'format', env: 'REPORT_FORMATS', type: 'list', default: 'terminal',
+    description: `Outputs: terminal, ${EXPORT_FORMATS.join(', ')}` },
+  { key: 'reportDir', flag: 'out', env: 'REPORT_DIR', type: 'string', default: 'reports',
+    description: 'Directory for exported reports' },
+  { key: 'watchInterval', flag: 'interval', env: 'WATCH_INTERVAL_MINUTES', type: 'int', default: '60',
+    description: 'Minutes between watch cycles' },
+  { key: 'serverPort', flag: 'port', env: 'SERVER_PORT', type: 'int', default: '3000',
+    description: 'Port for the dashboard and JSON API' },
+  { key: 'serverHost', flag: 'host', env: 'SERVER_HOST', type: 'string', default: '127.0.0.1',
+    description: 'Interface the server binds to (0.0.0.0 for all)' },
+  { key: 'alertKeywordMentions', flag: 'alert-mentions', env: 'ALERT_KEYWORD_MENTIONS', type: 'int', default: '10',
+    description: 'Alert when a keyword rises to this many mentions' },
+  { key: 'alertKeywordVelocity', flag: 'alert-velocity', env: 'ALERT_KEYWORD_VELOCITY', type: 'int', default: '100',
+    description: 'Alert when a keyword\'s mentions per post rise this many percent' },
+  { key: 'alertPostSpike', flag: 'alert-post-spike', env: 'ALERT_POST_SPIKE', type: 'float', default: '2',
+    description: 'Alert when a post\'s trending score grows by this factor' },
+  { key: 'alertSentimentSwing', flag: 'alert-sentiment-swing', env: 'ALERT_SENTIMENT_SWING', type: 'float',
+    default: '0.15', description: 'Alert when a subreddit\'s average sentiment moves this much' },
+  { key: 'alertSinks', flag: 'alerts', env: 'ALERT_SINKS', type: 'list', default: 'stdout',
+    description: 'Alert destinations: stdout, file:<path>, webhook:<url>' }
+];
+
+/**
+ * Parse and validate one raw option value
+ * @param {Object} option - Entry from CONFIG_OPTIONS
+ * @param {string} raw - Raw value
+ * @param {string} origin - Where the value came from, for error messages
+ * @returns {*} Parsed value
+ */
+function parseOption(option, raw, origin) {
+  switch (option.type) {
+    case 'int': {
+      if (!/^\d+$/.test(raw.trim()) || parseInt(raw, 10) < 1) {
+        throw new ConfigError(`${origin} must be a positive whole number, got "${raw}"`);
+      }
+      return parseInt(raw, 10);
+    }
+    case 'float': {
+      const value = Number(raw);
+      if (raw.trim() === '' || !Number.isFinite(value)) {
+        throw new ConfigError(`${origin} must be a number, got "${raw}"`);
+      }
+      return value;
+    }
+    case 'list': {
+      const values = raw.split(',').map(value => value.trim()).filter(Boolean);
+      if (values.length === 0) {
+        throw new ConfigError(`${origin} must not be empty`);
+      }
+      return values;
+    }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Resolve configuration from CLI flags, environment variables and defaults
+ * @param {Object} flags - Parsed CLI flags keyed by flag name (e.g. "post-limit")
+ * @returns {Object} Configuration keyed by option key
+ */
+export function loadConfig(flags = {}) {
+  const config = {};
+
+  CONFIG_OPTIONS.forEach(option => {
+    const envValue = process.env[option.env];
+    let raw = option.default;
+    let origin = 'default';
+
+    // dotenv turns `NAME=` into an empty string; treat that as unset
+    if (envValue !== undefined && envValue !== '') {
+      raw = envValue;
+      origin = option.env;
+    }
+    if (flags[option.flag] !== undefined) {
+      raw = flags[option.flag];
+      origin = `--${option.flag}`;
+    }
+
+    config[option.key] = raw === null ? null : parseOption(option, String(raw), origin);
+  });
+
+  if (config.commentBudget === null) {
+    config.commentBudget = config.commentLimit * config.commentDepth;
+  }
+
+  ['alertPostSpike', 'alertSentimentSwing'].forEach(key => {
+    if (config[key] <= 0) {
+      const option = CONFIG_OPTIONS.find(item => item.key === key);
+      throw new ConfigError(`--${option.flag} / ${option.env} must be greater than 0, got ${config[key]}`);
+    }
+  });
+
+  if (config.themeSimilarity <= 0 || config.themeSimilarity > 1) {
+    throw new ConfigError(`--theme-similarity / THEME_SIMILARITY must be between 0 and 1, got ${config.themeSimilarity}`);
+  }
+
+  if (config.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: config.timezone });
+    } catch {
+      throw new ConfigError(`Unknown time zone "${config.timezone}". Use an IANA name such as UTC or Europe/Berlin`);
+    }
+  }
+
+  config.stemming = config.stemming.toLowerCase();
+  if (!['on', 'off'].includes(config.stemming)) {
+    throw new ConfigError(`--stemming / STEMMING must be on or off, got "${config.stemming}"`);
+  }
+
+  config.keywordRanking = config.keywordRanking.toLowerCase();
+  if (!KEYWORD_RANKINGS.includes(config.keywordRanking)) {
+    throw new ConfigError(
+      `Unknown keyword ranking "${config.keywordRanking}". Use one of: ${KEYWORD_RANKINGS.join(', ')}`
+    );
+  }
+
+  config.commentPostOrder = config.commentPostOrder.toLowerCase();
+  if (!COMMENT_POST_ORDERS.includes(config.commentPostOrder)) {
+    throw new ConfigError(
+      `Unknown comment post order "${config.commentPostOrder}". Use one of: ${COMMENT_POST_ORDERS.join(', ')}`
+    );
+  }
+
+  config.inputFormat = config.inputFormat.toLowerCase();
+  if (config.inputFormat !== 'auto' && !SOURCE_FORMATS.includes(config.inputFormat)) {
+    throw new ConfigError(`Unknown input format "${config.inputFormat}". Use one of: auto, ${SOURCE_FORMATS.join(', ')}`);
+  }
+  if (config.inputFiles && config.replayFile) {
+    throw new ConfigError('Use either --input or --replay, not both');
+  }
+
+  config.reportFormats = config.reportFormats.map(format => format.toLowerCase());
+  const unknownFormats = config.reportFormats.filter(
+    format => format !== 'terminal' && !EXPORT_FORMATS.includes(format)
+  );
+  if (unknownFormats.length > 0) {
+    throw new ConfigError(
+      `Unknown report format "${unknownFormats[0]}". Use one of: terminal, ${EXPORT_FORMATS.join(', ')}`
+    );
+  }
+
+  return config;
+}
+
+/**
+ * Read and validate a scoring settings file (see scoring.example.json)
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Promise<Object>} Partial settings for ScoringModel
+ */
+export async function loadScoringSettings(filePath) {
+  let settings;
+  try {
+    settings = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Cannot load scoring config ${filePath}: ${error.message}`);
+  }
+
+  const fail = message => {
+    throw new ConfigError(`Scoring config ${filePath}: ${message}`);
+  };
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    fail('must be a JSON object');
+  }
+
+  Object.entries(settings).forEach(([section, values]) => {
+    if (!(section in DEFAULT_SCORING_SETTINGS)) {
+      fail(`unknown section "${section}". Use one of: ${Object.keys(DEFAULT_SCORING_SETTINGS).join(', ')}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      fail(`"${section}" must be an object`);
+    }
+    Object.entries(values).forEach(([name, value]) => {
+      if (!(name in DEFAULT_SCORING_SETTINGS[section])) {
+        const known = Object.keys(DEFAULT_SCORING_SETTINGS[section]);
+        fail(`unknown ${section} setting "${name}"${known.length > 0 ? `. Use one of: ${known.join(', ')}` : ''}`);
+      }
+      if (!isNumber(value)) fail(`${section}.${name} must be a number`);
+      if (section !== 'weights' && value < 0) fail(`${section}.${name} must not be negative`);
+    });
+  });
+
+  const weights = { ...DEFAULT_SCORING_SETTINGS.weights, ...settings.weights };
+  if (Object.values(weights).every(weight => weight === 0)) {
+    fail('at least one weight must be non-zero');
+  }
+
+  return settings;
+}
+
+/**
+ * Read a stopwords file: one word per line, blank lines and lines starting with # ignored
+ * @param {string} filePath - Path of the text file
+ * @returns {Promise<Array<string>>} Lowercase stopwords
+ */
+export async function loadStopwords(filePath) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Cannot load stopwords file ${filePath}: ${error.message}`);
+  }
+
+  const words = raw
+    .split(/\r?\n/)
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'));
+
+  const invalid = words.find(word => /\s/.test(word));
+  if (invalid) {
+    throw new ConfigError(`Stopwords file ${filePath}: one word per line, got "${invalid}"`);
+  }
+  if (words.length === 0) {
+    throw new ConfigError(`Stopwords file ${filePath} has no words`);
+  }
+  return words;
+}
+
+/**
+ * Read and validate a sentiment settings file (see sentiment.example.json)
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Promise<Object>} Partial settings for SentimentAnalyzer
+ */
+export async function loadSentimentSettings(filePath) {
+  let settings;
+  try {
+    settings = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Cannot load sentiment config ${filePath}: ${error.message}`);
+  }
+
+  const fail = message => {
+    throw new ConfigError(`Sentiment config ${filePath}: ${message}`);
+  };
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    fail('must be a JSON object');
+  }
+
+  Object.entries(settings).forEach(([section, values]) => {
+    if (!(section in DEFAULT_SENTIMENT_SETTINGS)) {
+      fail(`unknown section "${section}". Use one of: ${Object.keys(DEFAULT_SENTIMENT_SETTINGS).join(', ')}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      fail(`"${section}" must be an object`);
+    }
+  });
+
+  Object.entries(settings.lexicon || {}).forEach(([term, value]) => {
+    if (!isNumber(value)) fail(`lexicon score for "${term}" must be a number`);
+    if (/\s/.test(term)) fail(`lexicon term "${term}" must be a single word`);
+  });
+
+  const thresholds = { ...DEFAULT_SENTIMENT_SETTINGS.thresholds, ...settings.thresholds };
+  Object.entries(thresholds).forEach(([name, value]) => {
+    if (!isNumber(value)) fail(`thresholds.${name} must be a number`);
+  });
+  if (!(thresholds.veryPositive >= thresholds.positive &&
+        thresholds.positive >= thresholds.negative &&
+        thresholds.negative >= thresholds.veryNegative)) {
+    fail('thresholds must be ordered veryPositive >= positive >= negative >= veryNegative');
+  }
+
+  const weights = { ...DEFAULT_SENTIMENT_SETTINGS.weights, ...settings.weights };
+  if (!isNumber(weights.title) || !isNumber(weights.body) || weights.title < 0 || weights.body < 0) {
+    fail('weights.title and weights.body must be non-negative numbers');
+  }
+  if (weights.title + weights.body === 0) {
+    fail('weights.title and weights.body cannot both be 0');
+  }
+
+  const negation = { ...DEFAULT_SENTIMENT_SETTINGS.negation, ...settings.negation };
+  if (!Number.isInteger(negation.window) || negation.window < 0) {
+    fail('negation.window must be a whole number (0 disables negation)');
+  }
+  if (!isNumber(negation.multiplier)) fail('negation.multiplier must be a number');
+  if (!Array.isArray(negation.words) || negation.words.some(word => typeof word !== 'string')) {
+    fail('negation.words must be an array of strings');
+  }
+
+  const sarcasm = { ...DEFAULT_SENTIMENT_SETTINGS.sarcasm, ...settings.sarcasm };
+  if (!isNumber(sarcasm.multiplier)) fail('sarcasm.multiplier must be a number');
+  if (!Array.isArray(sarcasm.markers) || sarcasm.markers.some(marker => typeof marker !== 'string' || !marker)) {
+    fail('sarcasm.markers must be an array of non-empty strings');
+  }
+
+  return settings;
+}
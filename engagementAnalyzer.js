@@ -0,0 +1,154 @@
+import TextPreprocessor from './textPreprocessor.js';
+import { engagementOf, groupBySubreddit, median } from './engagementMetrics.js';
+
+/**
+ * Ways posts are grouped, in report order
+ */
+export const ENGAGEMENT_DIMENSIONS = ['hour', 'weekday', 'titleLength', 'titleType', 'format', 'domain'];
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Linked domains kept per profile, most posts first
+const MAX_DOMAINS = 10;
+
+// Upper bounds (inclusive) of the title length buckets, in words
+const TITLE_LENGTHS = [[5, '1-5 words'], [10, '6-10 words'], [15, '11-15 words'], [Infinity, '16+ words']];
+
+/**
+ * EngagementAnalyzer - When and in what format posts do best. Posts are
+ * bucketed by hour of day and weekday (in the configured time zone), title
+ * length, question vs. statement titles, self post vs. link, and linked domain.
+ * Each bucket reports median engagement, so one viral post cannot make a bucket
+ * look good, and its lift over the median post of the same subreddit.
+ */
+class EngagementAnalyzer {
+  /**
+   * @param {Object} options - Analyzer options
+   * @param {string} options.timezone - IANA time zone for hours and weekdays (default: the system's)
+   * @param {number} options.minPosts - Posts a bucket needs before it can be called the best
+   * @param {TextPreprocessor} options.preprocessor - Used to read link domains
+   */
+  constructor({ timezone = null, minPosts = 3, preprocessor = new TextPreprocessor() } = {}) {
+    this.timezone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    this.minPosts = minPosts;
+    this.preprocessor = preprocessor;
+    this.clock = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      hour: '2-digit',
+      hourCycle: 'h23',
+      weekday: 'short'
+    });
+  }
+
+  /**
+   * Bucket labels of one post for every dimension
+   * @param {Object} post - Post object
+   * @returns {Object} Label per dimension, e.g. {hour: '14:00', weekday: 'Tue', ...};
+   *   domain is null for self posts
+   */
+  classify(post) {
+    const parts = Object.fromEntries(
+      this.clock.formatToParts(new Date(post.created_utc * 1000)).map(part => [part.type, part.value])
+    );
+    const words = post.title.trim().split(/\s+/).filter(Boolean).length;
+    // A self post's url is its own comments page, not a link
+    const isLink = Boolean(post.url) && !post.url.includes(`/comments/${post.id}`);
+
+    return {
+      hour: `${parts.hour}:00`,
+      weekday: parts.weekday,
+      titleLength: TITLE_LENGTHS.find(([max]) => words <= max)[1],
+      titleType: post.title.includes('?') ? 'question' : 'statement',
+      format: isLink ? 'link' : 'self',
+      domain: isLink ? (this.preprocessor.domainOf(post.url) || 'other') : null
+    };
+  }
+
+  /**
+   * Median engagement of each bucket of each dimension
+   * @param {Array} posts - Posts of one subreddit, or of all of them
+   * @returns {Object} {postCount, medianEngagement, medianScore, medianComments, dimensions, best}
+   */
+  profile(posts) {
+    const overall = median(posts.map(engagementOf));
+    const labels = posts.map(post => this.classify(post));
+
+    const dimensions = Object.fromEntries(ENGAGEMENT_DIMENSIONS.map(dimension => {
+      const buckets = new Map();
+      posts.forEach((post, index) => {
+        const label = labels[index][dimension];
+        if (label === null) return;
+        if (!buckets.has(label)) buckets.set(label, []);
+        buckets.get(label).push(post);
+      });
+
+      const rows = [...buckets.entries()].map(([bucket, bucketPosts]) => {
+        const medianEngagement = median(bucketPosts.map(engagementOf));
+        return {
+          bucket,
+          posts: bucketPosts.length,
+          medianScore: median(bucketPosts.map(post => post.score)),
+          medianComments: median(bucketPosts.map(post => post.num_comments)),
+          medianUpvoteRatio: median(bucketPosts.filter(post => post.upvote_ratio != null).map(post => post.upvote_ratio)),
+          medianEngagement,
+          lift: overall > 0 ? medianEngagement / overall : null
+        };
+      });
+      const sorted = this.sortBuckets(dimension, rows);
+      return [dimension, dimension === 'domain' ? sorted.slice(0, MAX_DOMAINS) : sorted];
+    }));
+
+    // Best bucket per dimension, among buckets with enough posts to trust a median
+    const best = Object.fromEntries(ENGAGEMENT_DIMENSIONS.map(dimension => {
+      const candidates = dimensions[dimension].filter(row => row.posts >= this.minPosts);
+      const top = candidates.sort((a, b) => b.medianEngagement - a.medianEngagement)[0];
+      return [dimension, candidates.length > 1 ? top.bucket : null];
+    }));
+
+    return {
+      postCount: posts.length,
+      medianEngagement: overall,
+      medianScore: median(posts.map(post => post.score)),
+      medianComments: median(posts.map(post => post.num_comments)),
+      dimensions,
+      best
+    };
+  }
+
+  /**
+   * Put buckets in reading order: clock and calendar order for time, shortest
+   * titles first, and most posts first for the rest
+   * @param {string} dimension - One of ENGAGEMENT_DIMENSIONS
+   * @param {Array} rows - Bucket rows
+   * @returns {Array} Sorted rows
+   */
+  sortBuckets(dimension, rows) {
+    const order = {
+      hour: row => parseInt(row.bucket, 10),
+      weekday: row => WEEKDAYS.indexOf(row.bucket),
+      titleLength: row => TITLE_LENGTHS.findIndex(([, label]) => label === row.bucket)
+    }[dimension];
+
+    return order
+      ? rows.sort((a, b) => order(a) - order(b))
+      : rows.sort((a, b) => b.posts - a.posts || a.bucket.localeCompare(b.bucket));
+  }
+
+  /**
+   * Profile all posts together and each subreddit on its own
+   * @param {Array} posts - Array of post objects
+   * @returns {Object} {timezone, minPosts, overall, subreddits: [{subreddit, ...profile}]}
+   */
+  analyze(posts) {
+    const bySubreddit = groupBySubreddit(posts);
+
+    return {
+      timezone: this.timezone,
+      minPosts: this.minPosts,
+      overall: this.profile(posts),
+      subreddits: [...bySubreddit.entries()].map(([subreddit, subPosts]) => ({ subreddit, ...this.profile(subPosts) }))
+    };
+  }
+}
+
+export default EngagementAnalyzer;
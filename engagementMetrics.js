@@ -0,0 +1,51 @@
+/**
+ * Engagement measures shared by the timing, title and recommendation sections,
+ * so "engagement" and "the median post" mean the same thing in all of them
+ */
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Median, or 0 for an empty list
+ */
+export function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Engagement of one post: upvotes plus twice the comments, as in the default trending score
+ * @param {Object} post - Post object
+ * @returns {number} Engagement
+ */
+export function engagementOf(post) {
+  return post.score + 2 * post.num_comments;
+}
+
+/**
+ * Group posts by subreddit, in order of first appearance
+ * @param {Array} posts - Array of post objects
+ * @returns {Map<string, Array>} Subreddit → its posts
+ */
+export function groupBySubreddit(posts) {
+  const bySubreddit = new Map();
+  posts.forEach(post => {
+    if (!bySubreddit.has(post.subreddit)) bySubreddit.set(post.subreddit, []);
+    bySubreddit.get(post.subreddit).push(post);
+  });
+  return bySubreddit;
+}
+
+/**
+ * Engagement of the median post of each subreddit
+ * @param {Array} posts - Array of post objects
+ * @returns {Map<string, number>} Subreddit → median engagement
+ */
+export function medianEngagementBySubreddit(posts) {
+  return new Map([...groupBySubreddit(posts).entries()].map(([subreddit, subPosts]) => [
+    subreddit,
+    median(subPosts.map(engagementOf))
+  ]));
+}
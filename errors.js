@@ -0,0 +1,58 @@
+/**
+ * Process exit codes, one per failure class
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  UNEXPECTED: 1,
+  CONFIG: 2,
+  REDDIT_API: 3,
+  STORAGE: 4,
+  NO_DATA: 5
+};
+
+/**
+ * AnalyzerError - Base class for expected failures; carries the exit code to use
+ */
+export class AnalyzerError extends Error {
+  constructor(message, exitCode = EXIT_CODES.UNEXPECTED) {
+    super(message);
+    this.name = this.constructor.name;
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * ConfigError - Invalid command, flag or environment value
+ */
+export class ConfigError extends AnalyzerError {
+  constructor(message) {
+    super(message, EXIT_CODES.CONFIG);
+  }
+}
+
+/**
+ * RedditApiError - Reddit credentials, network or API failure
+ */
+export class RedditApiError extends AnalyzerError {
+  constructor(message) {
+    super(message, EXIT_CODES.REDDIT_API);
+  }
+}
+
+/**
+ * StorageError - Reading or writing snapshot, history or report files failed
+ */
+export class StorageError extends AnalyzerError {
+  constructor(message) {
+    super(message, EXIT_CODES.STORAGE);
+  }
+}
+
+/**
+ * NoDataError - Nothing was fetched or loaded to analyze
+ */
+export class NoDataError extends AnalyzerError {
+  constructor(message) {
+    super(message, EXIT_CODES.NO_DATA);
+  }
+}
@@ -0,0 +1,67 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { StorageError } from './errors.js';
+
+/**
+ * HistoryStore - Persists per-run analysis results as JSON lines
+ */
+class HistoryStore {
+  /**
+   * @param {string} filePath - Path of the JSON-lines history file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Append a run record to the history file
+   * @param {Object} run - Run record
+   * @returns {Promise<Object>} The record that was written
+   */
+  async appendRun(run) {
+    const record = {
+      recordedAt: new Date().toISOString(),
+      ...run
+    };
+
+    try {
+      await fs.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+      await fs.appendFile(this.filePath, JSON.stringify(record) + '\n', 'utf8');
+    } catch (error) {
+      throw new StorageError(`Cannot write history file ${this.filePath}: ${error.message}`);
+    }
+
+    return record;
+  }
+
+  /**
+   * Load previously recorded runs, oldest first
+   * @param {number} limit - Only return the most recent N runs (all when omitted)
+   * @returns {Promise<Array>} Array of run records
+   */
+  async loadRuns(limit) {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new StorageError(`Cannot read history file ${this.filePath}: ${error.message}`);
+    }
+
+    const runs = [];
+    raw.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        runs.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`⚠️  Skipping malformed history line ${index + 1} in ${this.filePath}`);
+      }
+    });
+
+    return limit ? runs.slice(-limit) : runs;
+  }
+}
+
+export default HistoryStore;
@@ -0,0 +1,170 @@
+/**
+ * RateLimiter - Token bucket paced by Reddit's x-ratelimit-* response headers.
+ *
+ * Until the first response arrives the bucket refills at `requestsPerMinute`.
+ * After that, the requests Reddit says are remaining are spread evenly over the
+ * time left until the window resets, so a large fetch uses the whole budget
+ * without ever running it dry.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.requestsPerMinute - Rate used before Reddit reports its limits
+   * @param {number} options.burst - Maximum requests sent back to back
+   */
+  constructor({ requestsPerMinute = 60, burst = 5 } = {}) {
+    this.defaultRate = requestsPerMinute / 60000;
+    this.burst = burst;
+    this.rate = this.defaultRate;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+
+    // Latest values reported by Reddit
+    this.remaining = null;
+    this.used = null;
+    this.resetAt = null;
+
+    // Accounting
+    this.requests = 0;
+    this.waitedMs = 0;
+  }
+
+  /**
+   * Sleep helper
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Change the rate used while Reddit has not reported its limits
+   * @param {number} requestsPerMinute - Requests per minute
+   */
+  setDefaultRate(requestsPerMinute) {
+    const usingDefault = this.rate === this.defaultRate;
+    this.defaultRate = requestsPerMinute / 60000;
+    if (usingDefault) this.rate = this.defaultRate;
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+
+    // A new window started: Reddit's numbers are stale until the next response
+    if (this.resetAt && now >= this.resetAt) {
+      this.remaining = null;
+      this.used = null;
+      this.resetAt = null;
+      this.rate = this.defaultRate;
+    }
+
+    this.tokens = Math.min(this.capacity(), this.tokens + (now - this.lastRefill) * this.rate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Bucket size; never more than Reddit says is left in the window
+   * @returns {number} Maximum tokens
+   */
+  capacity() {
+    return this.remaining === null ? this.burst : Math.min(this.burst, this.remaining);
+  }
+
+  /**
+   * Wait until a request may be sent, then take a token
+   * @returns {Promise<void>}
+   */
+  async acquire() {
+    this.refill();
+
+    while (this.tokens < 1) {
+      const waitMs = this.remaining !== null && this.remaining < 1
+        ? this.resetAt - Date.now()
+        : Math.ceil((1 - this.tokens) / this.rate);
+
+      await this.sleep(Math.max(waitMs, 1));
+      this.waitedMs += Math.max(waitMs, 1);
+      this.refill();
+    }
+
+    this.tokens -= 1;
+    this.requests++;
+  }
+
+  /**
+   * Update the budget from response headers
+   * @param {Object} headers - Response headers (lower-case names)
+   */
+  update(headers = {}) {
+    if (headers['x-ratelimit-remaining'] === undefined) return;
+
+    const remaining = parseFloat(headers['x-ratelimit-remaining']);
+    const used = parseFloat(headers['x-ratelimit-used']);
+    const resetSeconds = parseFloat(headers['x-ratelimit-reset']);
+    if (!Number.isFinite(remaining) || !Number.isFinite(resetSeconds)) return;
+
+    this.refill();
+    this.remaining = remaining;
+    this.used = Number.isFinite(used) ? used : null;
+    this.resetAt = Date.now() + resetSeconds * 1000;
+
+    // Spread what is left evenly over the rest of the window
+    this.rate = remaining >= 1 ? remaining / Math.max(resetSeconds * 1000, 1) : 0;
+    this.tokens = Math.min(this.tokens, this.capacity());
+  }
+
+  /**
+   * Stop sending until a given time, e.g. after a 429 without rate limit headers
+   * @param {number} ms - Milliseconds to pause
+   */
+  pause(ms) {
+    this.refill();
+    this.remaining = 0;
+    this.rate = 0;
+    this.tokens = 0;
+    this.resetAt = Date.now() + ms;
+  }
+
+  /**
+   * Estimate how long a number of requests will take at the current budget
+   * @param {number} requests - Requests still to send
+   * @returns {number} Estimated milliseconds
+   */
+  estimate(requests) {
+    this.refill();
+    let pending = Math.max(0, requests - Math.floor(this.tokens));
+    if (pending === 0) return 0;
+
+    let ms = 0;
+    if (this.remaining !== null) {
+      const beforeReset = Math.min(pending, Math.max(0, Math.floor(this.remaining - this.tokens)));
+      ms += this.rate > 0 ? beforeReset / this.rate : 0;
+      pending -= beforeReset;
+      if (pending === 0) return ms;
+      // The rest waits for the window to reset, then continues at the default rate
+      ms = Math.max(ms, this.resetAt - Date.now());
+    }
+
+    return ms + pending / this.defaultRate;
+  }
+
+  /**
+   * Current accounting
+   * @returns {Object} {requests, waitedMs, remaining, used, resetInSeconds}
+   */
+  getStats() {
+    return {
+      requests: this.requests,
+      waitedMs: this.waitedMs,
+      remaining: this.remaining,
+      used: this.used,
+      resetInSeconds: this.resetAt ? Math.max(0, Math.round((this.resetAt - Date.now()) / 1000)) : null
+    };
+  }
+}
+
+export default RateLimiter;
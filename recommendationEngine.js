@@ -0,0 +1,316 @@
+import { engagementOf, groupBySubreddit, median, medianEngagementBySubreddit } from './engagementMetrics.js';
+
+/**
+ * How much each factor counts towards an idea's opportunity score (0-100)
+ */
+export const DEFAULT_OPPORTUNITY_WEIGHTS = {
+  momentum: 0.3,
+  engagement: 0.25,
+  sentiment: 0.15,
+  competition: 0.15,
+  fit: 0.15
+};
+
+/**
+ * Suggested angles, checked in order; the first that applies is used
+ */
+const ANGLES = [
+  {
+    name: 'controversial',
+    label: 'Controversial — take a side',
+    applies: idea => idea.positiveShare >= 0.25 && idea.negativeShare >= 0.25
+  },
+  {
+    name: 'early',
+    label: 'Early — be first with an explainer',
+    applies: idea => idea.isRising && idea.coverage < 0.05
+  },
+  {
+    name: 'hype',
+    label: 'Positive hype — review or reaction',
+    applies: idea => idea.polarity === 'positive' && idea.isRising
+  },
+  {
+    name: 'favourite',
+    label: 'Well liked — guide, tips or showcase',
+    applies: idea => idea.polarity === 'positive'
+  },
+  {
+    name: 'frustration',
+    label: 'Frustration — fix, workaround or alternatives',
+    applies: idea => idea.polarity === 'negative'
+  },
+  {
+    name: 'explainer',
+    label: 'Curiosity — explainer or deep dive',
+    applies: () => true
+  }
+];
+
+/**
+ * Scale values to 0-1 across candidates; identical values all get 0.5
+ * @param {Array<number>} values - Raw factor values
+ * @returns {Array<number>} Scaled values
+ */
+function scale(values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values.map(value => (max > min ? (value - min) / (max - min) : 0.5));
+}
+
+const percent = share => `${Math.round(share * 100)}%`;
+
+/**
+ * RecommendationEngine - Ranks content ideas by opportunity. Each candidate
+ * topic is scored on five factors, each scaled across the candidates:
+ *
+ * - momentum: run-over-run velocity, or burst lift for emerging topics
+ * - engagement: median engagement of posts about the topic vs. the median post
+ * - sentiment: share of mentions that carry an opinion either way
+ * - competition: fewer posts already covering the topic is better
+ * - fit: how much better the topic does in its best subreddit than that subreddit's median post
+ *
+ * Works on plain report data only, so it can be used and tested without the
+ * analyzers or the display.
+ */
+class RecommendationEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Object} options.weights - Factor weights, merged over DEFAULT_OPPORTUNITY_WEIGHTS
+   * @param {number} options.limit - Ideas to return
+   */
+  constructor({ weights = {}, limit = 5 } = {}) {
+    this.weights = { ...DEFAULT_OPPORTUNITY_WEIGHTS, ...weights };
+    this.limit = limit;
+  }
+
+  /**
+   * Measure every candidate topic before scaling
+   * @param {Object} input - See recommend()
+   * @returns {Array} Candidates with raw factor values and the facts behind them
+   */
+  measure({ keywords, topics, emergingTopics = [], posts, postIdsByKeyword }) {
+    const postsById = new Map(posts.map(post => [post.id, post]));
+    const typical = median(posts.map(engagementOf));
+    const sentimentOf = new Map(topics.map(topic => [topic.keyword, topic]));
+    const emergingOf = new Map(emergingTopics.map(topic => [topic.keyword, topic]));
+
+    // Median engagement per subreddit, the baseline for fit
+    const subredditMedian = medianEngagementBySubreddit(posts);
+
+    const keywordOf = new Map(keywords.map(item => [item.keyword, item]));
+    const names = [...new Set([...keywords.map(item => item.keyword), ...emergingOf.keys()])];
+
+    return names
+      // Topics without sentiment data are opinion words ("love") or never mentioned in posts
+      .filter(name => sentimentOf.has(name) || emergingOf.has(name))
+      .map(name => {
+        const covering = (postIdsByKeyword[name] || []).map(id => postsById.get(id)).filter(Boolean);
+        if (covering.length === 0) return null;
+
+        const keyword = keywordOf.get(name);
+        const emerging = emergingOf.get(name);
+        const sentiment = sentimentOf.get(name);
+
+        // Velocity is a percentage change; burst lift is a ratio to the baseline rate
+        const velocity = keyword?.isNew ? 100 : keyword?.velocity ?? null;
+        const momentum = Math.max(velocity === null ? 0 : velocity / 100, emerging ? emerging.lift - 1 : 0);
+
+        const fits = [...groupBySubreddit(covering).entries()]
+          .map(([subreddit, subPosts]) => ({
+            subreddit,
+            posts: subPosts.length,
+            lift: subredditMedian.get(subreddit) > 0
+              ? median(subPosts.map(engagementOf)) / subredditMedian.get(subreddit)
+              : null
+          }))
+          // A single post says little about a subreddit; prefer ones with two or more
+          .sort((a, b) => Math.min(b.posts, 2) - Math.min(a.posts, 2) || (b.lift ?? 0) - (a.lift ?? 0) ||
+            b.posts - a.posts);
+
+        return {
+          keyword: name,
+          covering,
+          coverage: covering.length / posts.length,
+          engagementLift: typical > 0 ? median(covering.map(engagementOf)) / typical : null,
+          momentum,
+          velocity,
+          changeLabel: keyword?.changeLabel || null,
+          emergingLift: emerging ? emerging.lift : null,
+          isRising: momentum > 0,
+          polarity: sentiment?.polarity || 'neutral',
+          positiveShare: sentiment?.positiveShare ?? 0,
+          negativeShare: sentiment?.negativeShare ?? 0,
+          fit: fits[0]
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Explain an idea's score in words, strongest factor first
+   * @param {Object} idea - Measured candidate with scaled factors
+   * @param {number} postsCount - Posts analyzed
+   * @returns {Array<string>} Rationale sentences
+   */
+  explain(idea, postsCount) {
+    const reasons = {
+      momentum: idea.changeLabel && idea.velocity !== null
+        ? idea.changeLabel
+        : idea.emergingLift !== null
+          ? `${idea.emergingLift.toFixed(1)}× its usual rate recently`
+          : 'no rise measured (needs history or a recent burst)',
+      engagement: idea.engagementLift === null
+        ? 'no votes or comments to compare'
+        : `posts about it get ${idea.engagementLift.toFixed(1)}× the median engagement`,
+      sentiment: `${percent(idea.positiveShare)} positive and ${percent(idea.negativeShare)} negative mentions`,
+      competition: `covered by ${idea.covering.length} of ${postsCount} posts (${percent(idea.coverage)})`,
+      fit: idea.fit.lift === null
+        ? `mostly in r/${idea.fit.subreddit} (${idea.fit.posts} posts)`
+        : `strongest in r/${idea.fit.subreddit} (${idea.fit.lift.toFixed(1)}× that subreddit's median post)`
+    };
+
+    // Missing data explains nothing, so it goes last whatever its scaled value
+    const missing = {
+      momentum: !idea.isRising,
+      engagement: idea.engagementLift === null,
+      fit: idea.fit.lift === null
+    };
+    const strength = factor => (missing[factor] ? -1 : this.weights[factor] * idea.factors[factor]);
+    return Object.keys(this.weights)
+      .filter(factor => this.weights[factor] > 0)
+      .sort((a, b) => strength(b) - strength(a))
+      .map(factor => reasons[factor]);
+  }
+
+  /**
+   * Rank content ideas
+   * @param {Object} input - Report data
+   * @param {Array} input.keywords - Report keywords (keyword, count, velocity, isNew, changeLabel)
+   * @param {Array} input.topics - Report topic sentiment (keyword, polarity, positiveShare, negativeShare)
+   * @param {Array} input.emergingTopics - Report emerging topics (keyword, lift)
+   * @param {Array} input.posts - All analyzed posts (id, title, subreddit, score, num_comments, permalink)
+   * @param {Object} input.postIdsByKeyword - Keyword → ids of the posts mentioning it
+   * @returns {Array} Ideas [{rank, keyword, score, angle, angleLabel, targetSubreddit, factors,
+   *   rationale, examples}], best first
+   */
+  recommend(input) {
+    const candidates = this.measure(input);
+    if (candidates.length === 0) return [];
+
+    const scaled = {
+      momentum: scale(candidates.map(idea => idea.momentum)),
+      engagement: scale(candidates.map(idea => idea.engagementLift ?? 0)),
+      sentiment: scale(candidates.map(idea => idea.positiveShare + idea.negativeShare)),
+      competition: scale(candidates.map(idea => -idea.coverage)),
+      fit: scale(candidates.map(idea => idea.fit.lift ?? 0))
+    };
+    const totalWeight = Object.values(this.weights).reduce((sum, weight) => sum + weight, 0) || 1;
+
+    return candidates
+      .map((idea, index) => {
+        const factors = Object.fromEntries(Object.keys(scaled).map(factor => [factor, scaled[factor][index]]));
+        const score = Object.entries(this.weights)
+          .reduce((sum, [factor, weight]) => sum + weight * factors[factor], 0) / totalWeight * 100;
+        return { ...idea, factors, score };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.limit)
+      .map((idea, index) => {
+        const angle = ANGLES.find(item => item.applies(idea));
+        return {
+          rank: index + 1,
+          keyword: idea.keyword,
+          score: Math.round(idea.score),
+          angle: angle.name,
+          angleLabel: angle.label,
+          targetSubreddit: idea.fit.subreddit,
+          factors: idea.factors,
+          rationale: this.explain(idea, input.posts.length),
+          examples: [...idea.covering]
+            .sort((a, b) => engagementOf(b) - engagementOf(a))
+            .slice(0, 2)
+            .map(post => ({
+              id: post.id,
+              title: post.title,
+              subreddit: post.subreddit,
+              score: post.score,
+              num_comments: post.num_comments,
+              permalink: post.permalink
+            }))
+        };
+      });
+  }
+
+  /**
+   * Strategy insights drawn from the data rather than fixed advice
+   * @param {Object} input - Report data
+   * @param {Object} input.sentimentStats - Post sentiment statistics
+   * @param {Array} input.ideas - Output of recommend()
+   * @param {Object} input.timing - Report timing section
+   * @param {Object} input.titlePatterns - Report title patterns section
+   * @param {Array} input.keywords - Report keywords
+   * @param {number} input.postsCount - Posts analyzed
+   * @param {Object} input.postIdsByKeyword - Keyword → ids of the posts mentioning it
+   * @returns {Array<string>} Insights
+   */
+  insights({ sentimentStats, ideas, timing, titlePatterns, keywords, postsCount, postIdsByKeyword }) {
+    const insights = [];
+
+    if (sentimentStats.total > 0) {
+      const positive = (sentimentStats.veryPositive + sentimentStats.positive) / sentimentStats.total;
+      const negative = (sentimentStats.veryNegative + sentimentStats.negative) / sentimentStats.total;
+      // Mostly neutral posts carry no mood, however the few opinions lean
+      const neutral = 1 - positive - negative;
+      const mood = neutral >= 0.5 ? 'neutral'
+        : positive > 0 && positive >= 2 * negative ? 'upbeat'
+        : negative > 0 && negative >= 2 * positive ? 'critical'
+        : 'mixed';
+      insights.push(`The mood is ${mood}: ${percent(positive)} of posts are positive and ${percent(negative)} negative`);
+    }
+
+    const [best] = ideas;
+    if (best) {
+      insights.push(`Best opportunity: "${best.keyword}" in r/${best.targetSubreddit}. Angle: ${best.angleLabel}`);
+    }
+
+    const controversial = ideas.filter(idea => idea.angle === 'controversial').map(idea => idea.keyword);
+    if (controversial.length > 0) {
+      insights.push(`Opinions split on ${controversial.join(', ')}; a clear stance will draw replies from both sides`);
+    }
+
+    const bestSlot = ['hour', 'weekday']
+      .map(dimension => timing?.overall.dimensions[dimension].find(row => row.bucket === timing.overall.best[dimension]))
+      .filter(row => row && row.lift !== null);
+    if (bestSlot.length === 2) {
+      const [hour, day] = bestSlot;
+      insights.push(`Posts published around ${hour.bucket} (${timing.timezone}) and on ${day.bucket} get the most ` +
+        `engagement: ${hour.lift.toFixed(1)}× and ${day.lift.toFixed(1)}× the median post`);
+    }
+
+    const format = timing?.overall.dimensions.format.find(row => row.bucket === timing.overall.best.format);
+    if (format && format.lift !== null && format.lift > 1) {
+      insights.push(`${format.bucket === 'self' ? 'Text posts' : 'Link posts'} do best, at ` +
+        `${format.lift.toFixed(1)}× the median engagement`);
+    }
+
+    const hook = titlePatterns?.patterns.find(item => item.outperforms && item.kind !== 'opening');
+    if (hook) {
+      insights.push(`Title hook that works: ${hook.pattern}, at ${hook.relativeEngagement.toFixed(1)}× ` +
+        `the subreddit's median post over ${hook.posts} posts`);
+    }
+
+    // A topic in a large share of posts is crowded; a new post needs a distinct angle
+    const crowded = keywords
+      .map(item => ({ keyword: item.keyword, share: (postIdsByKeyword[item.keyword] || []).length / (postsCount || 1) }))
+      .filter(item => item.share >= 0.2)
+      .sort((a, b) => b.share - a.share)[0];
+    if (crowded) {
+      insights.push(`"${crowded.keyword}" is already in ${percent(crowded.share)} of posts; stand out with a distinct angle`);
+    }
+
+    return insights;
+  }
+}
+
+export default RecommendationEngine;
@@ -1,39 +1,56 @@
-import snoowrap from 'snoowrap';
 import dotenv from 'dotenv';
+import SnapshotStore from './snapshotStore.js';
+import RateLimiter from './rateLimiter.js';
+import { createRedditTransport } from './redditTransports.js';
+import CheckpointStore from './checkpointStore.js';
+import ScoringModel from './scoringModels.js';
+import { ConfigError, RedditApiError, StorageError } from './errors.js';
 
 dotenv.config();
 
+const LISTING_TYPES = ['hot', 'rising', 'new', 'top', 'controversial', 'search'];
+const TIMED_LISTING_TYPES = ['top', 'controversial', 'search'];
+const TIME_FILTERS = ['hour', 'day', 'week', 'month', 'year', 'all'];
+
+// Reddit returns at most 100 items per listing request
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * How posts are chosen when only MAX_POSTS_FOR_COMMENTS of them get their comments fetched
+ */
+export const COMMENT_POST_ORDERS = ['fetch', 'trending', 'comments'];
+
 /**
  * RedditClient - Handles all Reddit API interactions with robust rate limiting
  */
 class RedditClient {
-  constructor() {
-    this.reddit = new snoowrap({
-      userAgent: process.env.REDDIT_USER_AGENT || 'RedditTrendAnalyzer/1.0.0',
-      clientId: process.env.REDDIT_CLIENT_ID,
-      clientSecret: process.env.REDDIT_CLIENT_SECRET,
-      username: process.env.REDDIT_USERNAME,
-      password: process.env.REDDIT_PASSWORD
-    });
+  /**
+   * @param {Object} env - Environment variables with REDDIT_* credentials and rate limit settings
+   */
+  constructor(env = process.env) {
+    // RATE_LIMIT_DELAY is still honored as the starting pace for older .env files.
+    // Anonymous access gets a much smaller budget from Reddit, so it starts slower.
+    const legacyDelay = parseInt(env.RATE_LIMIT_DELAY || '0');
+    const fallbackRpm = legacyDelay > 0 ? Math.max(1, Math.round(60000 / legacyDelay)) : null;
+    this.maxRetries = parseInt(env.MAX_RETRIES || '3');
+    this.rateLimiter = new RateLimiter({ burst: parseInt(env.RATE_LIMIT_BURST || '5') });
 
-    // Configure rate limiting (Reddit allows 60 requests per minute)
-    // We use 2000ms (2 seconds) to be conservative: 30 requests/minute
-    this.requestDelay = parseInt(process.env.RATE_LIMIT_DELAY || '2000');
-    this.maxRetries = parseInt(process.env.MAX_RETRIES || '3');
-    this.reddit.config({ 
-      requestDelay: this.requestDelay,
-      requestTimeout: 30000,
-      continueAfterRatelimitError: true,
-      warnings: false,
-      debug: false
-    });
+    this.transport = createRedditTransport(env, this.rateLimiter);
+    const requestsPerMinute = parseInt(env.RATE_LIMIT_RPM || '0') || fallbackRpm ||
+      (this.transport.mode === 'public' ? 10 : 60);
+    this.rateLimiter.setDefaultRate(requestsPerMinute);
+    this.lastLoggedCount = 0;
 
-    // Track rate limit state
-    this.requestCount = 0;
-    this.rateLimitRemaining = null;
-    this.rateLimitReset = null;
-    
-    console.log(`Rate limiting configured: ${this.requestDelay}ms between requests`);
+    console.log(`🔑 Reddit access: ${this.transport}`);
+    console.log(`Rate limiting configured: ${requestsPerMinute} req/min until Reddit reports its limits`);
+  }
+
+  /**
+   * Total HTTP requests sent to Reddit so far
+   * @returns {number} Request count
+   */
+  get requestCount() {
+    return this.rateLimiter.requests;
   }
 
   /**
@@ -59,12 +76,12 @@ class RedditClient {
       // Check if it's a rate limit error
       if (error.statusCode === 429 || error.message?.includes('rate limit')) {
         if (retries > 0) {
-          const waitTime = error.ratelimitRemaining 
-            ? (error.ratelimitRemaining * 1000) + 1000 
-            : delay;
+          const resetSeconds = parseFloat(error.response?.headers?.['x-ratelimit-reset']);
+          const waitTime = Number.isFinite(resetSeconds) ? (resetSeconds * 1000) + 1000 : delay;
           
           console.log(`⏳ Rate limit hit. Waiting ${Math.round(waitTime / 1000)}s before retry (${retries} retries left)...`);
-          await this.sleep(waitTime);
+          // Holds back every request, not just this retry
+          this.rateLimiter.pause(waitTime);
           
           // Exponential backoff for next retry
           return this.retryWithBackoff(fn, retries - 1, delay * 2);
@@ -85,167 +102,435 @@ class RedditClient {
   }
 
   /**
-   * Enforce rate limiting between requests
+   * Log request accounting each time another 10 requests have gone out
    */
-  async enforceRateLimit() {
-    this.requestCount++;
-    
-    // Log every 10 requests to show we're respecting limits
-    if (this.requestCount % 10 === 0) {
-      console.log(`📊 Processed ${this.requestCount} API requests (rate limited)`);
-    }
-    
-    // Additional delay if we're approaching limits
-    if (this.rateLimitRemaining && this.rateLimitRemaining < 10) {
-      console.log(`⚠️  Approaching rate limit. Adding extra delay...`);
-      await this.sleep(5000);
+  logRequestCount() {
+    if (Math.floor(this.requestCount / 10) === Math.floor(this.lastLoggedCount / 10)) return;
+    this.lastLoggedCount = this.requestCount;
+
+    const { remaining, resetInSeconds } = this.rateLimiter.getStats();
+    const budget = remaining === null ? '' : ` (${remaining} left, window resets in ${resetInSeconds}s)`;
+    console.log(`📊 Processed ${this.requestCount} API requests${budget}`);
+  }
+
+  /**
+   * Summary of requests sent and time spent waiting for the rate limit
+   * @returns {string} One-line summary
+   */
+  describeUsage() {
+    const { requests, waitedMs, remaining, used, resetInSeconds } = this.rateLimiter.getStats();
+    const budget = remaining === null
+      ? ''
+      : `, ${used ?? '?'} used / ${remaining} left in the current window (resets in ${resetInSeconds}s)`;
+    return `${requests} API requests, ${Math.round(waitedMs / 1000)}s waiting for rate limits${budget}`;
+  }
+
+  /**
+   * Parse a listing source spec such as "hot,top:week,search:month=steam deck"
+   * Each entry is `type[:time][=query]`; time applies to top, controversial and search.
+   * @param {string} spec - Comma-separated source spec
+   * @returns {Array<Object>} Array of {type, time, query} sources
+   */
+  static parseSources(spec) {
+    return spec
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const [typeAndTime, ...queryParts] = entry.split('=');
+        const [type, time] = typeAndTime.trim().toLowerCase().split(':');
+        const query = queryParts.join('=').trim();
+
+        if (!LISTING_TYPES.includes(type)) {
+          throw new Error(`Unknown listing type "${type}" in "${entry}". Use one of: ${LISTING_TYPES.join(', ')}`);
+        }
+        if (time && !TIME_FILTERS.includes(time)) {
+          throw new Error(`Unknown time filter "${time}" in "${entry}". Use one of: ${TIME_FILTERS.join(', ')}`);
+        }
+        if (time && !TIMED_LISTING_TYPES.includes(type)) {
+          throw new Error(`Listing type "${type}" does not take a time filter ("${entry}")`);
+        }
+        if (type === 'search' && !query) {
+          throw new Error(`Search source "${entry}" needs a query, e.g. search:week=steam deck`);
+        }
+
+        return { type, time: time || (TIMED_LISTING_TYPES.includes(type) ? 'day' : null), query: query || null };
+      });
+  }
+
+  /**
+   * Human-readable label for a listing source, e.g. "top:week"
+   * @param {Object} source - Source from parseSources
+   * @returns {string} Source label
+   */
+  static describeSource(source) {
+    const time = source.time ? `:${source.time}` : '';
+    const query = source.query ? `=${source.query}` : '';
+    return `${source.type}${time}${query}`;
+  }
+
+  /**
+   * Convert a listing post from the transport into our post shape
+   * @param {Object} post - Post in Reddit's JSON shape
+   * @returns {Object} Post with metadata
+   */
+  formatPost(post) {
+    return {
+      subreddit: post.subreddit,
+      title: post.title,
+      text: post.selftext || '',
+      author: post.author,
+      score: post.score,
+      upvote_ratio: post.upvote_ratio,
+      num_comments: post.num_comments,
+      created_utc: post.created_utc,
+      url: post.url,
+      permalink: `https://reddit.com${post.permalink}`,
+      id: post.id
+    };
+  }
+
+  /**
+   * Fetch up to `limit` posts from one listing, following `after` cursors
+   * @param {string} subreddit - Subreddit name
+   * @param {Object} source - Source from parseSources
+   * @param {number} limit - Total number of posts to fetch
+   * @returns {Promise<Array>} Posts in Reddit's JSON shape
+   */
+  async fetchListing(subreddit, source, limit) {
+    const results = [];
+    let after = null;
+
+    while (results.length < limit) {
+      const pageSize = Math.min(MAX_PAGE_SIZE, limit - results.length);
+
+      // Requests are paced by the rate limiter; retries cover 429s and server errors
+      const page = await this.retryWithBackoff(() => this.transport.getListing(subreddit, source, pageSize, after));
+      this.logRequestCount();
+
+      results.push(...page);
+
+      // A short page means the listing is exhausted
+      if (page.length < pageSize || page.length === 0) break;
+      after = page[page.length - 1].name;
     }
+
+    return results;
   }
 
   /**
-   * Fetch hot posts from multiple subreddits
+   * Fetch posts from multiple subreddits and listing sources
+   * Posts that appear in several listings are kept once, with every source recorded.
    * @param {Array<string>} subreddits - Array of subreddit names
-   * @param {number} limit - Number of posts to fetch per subreddit
+   * @param {number} limit - Number of posts to fetch per subreddit and source
+   * @param {Object} sourceConfig - Listing sources
+   * @param {Array<Object>} sourceConfig.default - Sources used for every subreddit
+   * @param {Object} sourceConfig.bySubreddit - Per-subreddit source overrides
    * @returns {Promise<Array>} Array of posts with metadata
    */
-  async fetchHotPosts(subreddits, limit = 50) {
-    const allPosts = [];
+  async fetchPosts(subreddits, limit = 50, sourceConfig = {}) {
+    const defaultSources = sourceConfig.default || [{ type: 'hot', time: null, query: null }];
+    const postsById = new Map();
+    let attempts = 0;
+    let failures = 0;
+    let lastError = null;
 
     for (const subreddit of subreddits) {
-      try {
-        console.log(`Fetching ${limit} hot posts from r/${subreddit}...`);
-        
-        // Wrap in retry logic with rate limiting
-        const posts = await this.retryWithBackoff(async () => {
-          await this.enforceRateLimit();
-          return await this.reddit.getSubreddit(subreddit).getHot({ limit });
-        });
-        
-        for (const post of posts) {
-          allPosts.push({
-            subreddit: post.subreddit.display_name,
-            title: post.title,
-            text: post.selftext || '',
-            author: post.author.name,
-            score: post.score,
-            upvote_ratio: post.upvote_ratio,
-            num_comments: post.num_comments,
-            created_utc: post.created_utc,
-            url: post.url,
-            permalink: `https://reddit.com${post.permalink}`,
-            id: post.id
-          });
-        }
-        
-        // Small delay between subreddits
-        if (subreddits.indexOf(subreddit) < subreddits.length - 1) {
-          await this.sleep(1000);
-        }
-      } catch (error) {
-        console.error(`❌ Error fetching from r/${subreddit}:`, error.message);
-        if (error.message.includes('rate limit')) {
-          console.error(`⚠️  Consider reducing POST_LIMIT or SUBREDDITS count`);
+      const sources = sourceConfig.bySubreddit?.[subreddit.toLowerCase()] || defaultSources;
+
+      for (const source of sources) {
+        const label = RedditClient.describeSource(source);
+        attempts++;
+        try {
+          console.log(`Fetching ${limit} ${label} posts from r/${subreddit}...`);
+          const posts = await this.fetchListing(subreddit, source, limit);
+
+          for (const post of posts) {
+            const existing = postsById.get(post.id);
+            if (existing) {
+              if (!existing.sources.includes(label)) existing.sources.push(label);
+            } else {
+              postsById.set(post.id, { ...this.formatPost(post), sources: [label] });
+            }
+          }
+        } catch (error) {
+          failures++;
+          lastError = error;
+          console.error(`❌ Error fetching ${label} from r/${subreddit}:`, error.message);
+          if (error.message.includes('rate limit')) {
+            console.error(`⚠️  Consider reducing POST_LIMIT, SOURCES or SUBREDDITS count`);
+          }
         }
       }
     }
 
-    return allPosts;
+    // Every request failing points at credentials or connectivity, not at empty subreddits
+    if (attempts > 0 && failures === attempts) {
+      throw new RedditApiError(`All listing requests failed. Last error: ${lastError.message}`);
+    }
+
+    return [...postsById.values()];
+  }
+
+  /**
+   * Fetch hot posts from multiple subreddits
+   * @param {Array<string>} subreddits - Array of subreddit names
+   * @param {number} limit - Number of posts to fetch per subreddit
+   * @returns {Promise<Array>} Array of posts with metadata
+   */
+  async fetchHotPosts(subreddits, limit = 50) {
+    return this.fetchPosts(subreddits, limit);
+  }
+
+  /**
+   * Convert a comment node from the transport into our comment shape
+   * @param {Object} comment - Comment node
+   * @param {number} depth - Reply depth (0 for top-level comments)
+   * @returns {Object} Comment with thread metadata
+   */
+  formatComment(comment, depth) {
+    return {
+      id: comment.id,
+      parent_id: comment.parent_id,
+      depth,
+      author: comment.author,
+      body: comment.body,
+      score: comment.score,
+      created_utc: comment.created_utc,
+      is_submitter: Boolean(comment.is_submitter),
+      permalink: `https://reddit.com${comment.permalink}`
+    };
   }
 
   /**
    * Fetch comments from a specific post
    * @param {string} postId - Reddit post ID
    * @param {number} limit - Number of top-level comments to fetch
-   * @returns {Promise<Array>} Array of comments
+   * @param {Object} options - Comment tree options
+   * @param {number} options.depth - Number of reply levels to include (1 = top-level only)
+   * @param {number} options.budget - Maximum comments to keep across all levels
+   * @returns {Promise<Array>} Array of comments, parents before their replies
    */
-  async fetchComments(postId, limit = 20) {
-    try {
-      // Wrap in retry logic with rate limiting
-      const submission = await this.retryWithBackoff(async () => {
-        await this.enforceRateLimit();
-        return await this.reddit.getSubmission(postId);
-      });
-      
-      await submission.expandReplies({ limit, depth: 1 });
-      
-      const comments = [];
-      const topComments = submission.comments.slice(0, limit);
+  async fetchComments(postId, limit = 20, options = {}) {
+    const { depth = 1, budget = limit } = options;
+
+    // Requests are paced by the rate limiter; retries cover 429s and server errors
+    const tree = await this.retryWithBackoff(() => this.transport.getCommentTree(postId, { limit, depth }));
+    this.logRequestCount();
+
+    const comments = [];
+
+    // Depth-first walk so each thread stays together until the budget runs out
+    const walk = (nodes, level) => {
+      for (const comment of nodes) {
+        if (comments.length >= budget) return;
 
-      for (const comment of topComments) {
         if (comment.body && comment.body !== '[deleted]' && comment.body !== '[removed]') {
-          comments.push({
-            author: comment.author.name,
-            body: comment.body,
-            score: comment.score,
-            created_utc: comment.created_utc
-          });
+          comments.push(this.formatComment(comment, level));
         }
-      }
 
-      return comments;
-    } catch (error) {
-      console.error(`❌ Error fetching comments for post ${postId}:`, error.message);
-      if (error.message.includes('rate limit')) {
-        console.error(`⚠️  Rate limit hit while fetching comments`);
+        // Replies to a deleted comment are still part of the thread
+        if (level + 1 < depth && comment.replies?.length > 0) {
+          walk(comment.replies, level + 1);
+        }
       }
-      return [];
+    };
+
+    walk(tree.slice(0, limit), 0);
+
+    return comments;
+  }
+
+  /**
+   * Choose which posts get their comments fetched
+   * @param {Array} posts - Posts from fetchPosts
+   * @param {number} max - Maximum number of posts
+   * @param {string} order - One of COMMENT_POST_ORDERS
+   * @param {ScoringModel} scoringModel - Ranks posts for the trending order, as in the report
+   * @returns {Array} Selected posts, most important first
+   */
+  selectPostsForComments(posts, max, order = 'fetch', scoringModel = new ScoringModel()) {
+    let ranked = posts;
+
+    if (order === 'trending') {
+      const scored = scoringModel.scorePosts(posts);
+      ranked = posts
+        .map((post, index) => ({ post, score: scored[index].trendingScore }))
+        .sort((a, b) => b.score - a.score)
+        .map(item => item.post);
+    } else if (order === 'comments') {
+      ranked = [...posts].sort((a, b) => b.num_comments - a.num_comments);
     }
+
+    return ranked.slice(0, max);
   }
 
   /**
-   * Fetch posts with their comments from multiple subreddits
+   * Fetch posts with their comments from multiple subreddits.
+   * Comments are fetched by a pool of workers sharing the rate limiter. With a
+   * checkpoint file, progress is saved after every post and an interrupted run
+   * picks up where it stopped.
    * @param {Array<string>} subreddits - Array of subreddit names
    * @param {number} postLimit - Number of posts per subreddit
    * @param {number} commentLimit - Number of comments per post
+   * @param {Object} options - Additional options
+   * @param {Object} options.sources - Listing sources, see fetchPosts
+   * @param {number} options.commentDepth - Reply levels to include per post (1 = top-level only)
+   * @param {number} options.commentBudget - Maximum comments per post across all levels
+   * @param {number} options.maxPostsForComments - Number of posts to fetch comments for
+   * @param {string} options.commentPostOrder - How those posts are chosen, one of COMMENT_POST_ORDERS
+   * @param {number} options.commentConcurrency - Comment requests in flight at once
+   * @param {ScoringModel} options.scoringModel - Ranks posts when commentPostOrder is 'trending'
+   * @param {string} options.checkpointPath - Save progress to this file and resume from it
+   * @param {string} options.snapshotPath - Save everything fetched to this snapshot file
    * @returns {Promise<Object>} Object containing posts and all comments
    */
-  async fetchPostsWithComments(subreddits, postLimit = 50, commentLimit = 20) {
-    const posts = await this.fetchHotPosts(subreddits, postLimit);
-    const allComments = [];
+  async fetchPostsWithComments(subreddits, postLimit = 50, commentLimit = 20, options = {}) {
+    const {
+      maxPostsForComments = 20,
+      commentPostOrder = 'fetch',
+      commentConcurrency = 4,
+      checkpointPath = null,
+      scoringModel = new ScoringModel()
+    } = options;
+    const params = {
+      subreddits,
+      postLimit,
+      commentLimit,
+      maxPostsForComments,
+      commentPostOrder,
+      commentDepth: options.commentDepth || 1,
+      commentBudget: options.commentBudget || commentLimit,
+      sources: options.sources || null
+    };
 
-    if (posts.length === 0) {
-      console.log('⚠️  No posts fetched. Cannot fetch comments.');
-      return { posts, comments: allComments };
+    const checkpointStore = checkpointPath ? new CheckpointStore(checkpointPath) : null;
+    const checkpoint = checkpointStore ? await checkpointStore.load() : null;
+
+    if (checkpoint && JSON.stringify(checkpoint.params) !== JSON.stringify(params)) {
+      throw new ConfigError(
+        `Checkpoint ${checkpointPath} belongs to a run with different fetch settings. ` +
+        'Resume with the same settings, or delete the file to start over.'
+      );
     }
 
-    // Limit number of posts to fetch comments from to respect rate limits
-    const maxPostsForComments = parseInt(process.env.MAX_POSTS_FOR_COMMENTS || '20');
-    const postsToProcess = Math.min(posts.length, maxPostsForComments);
-    
-    console.log(`\nFetching comments from ${postsToProcess} posts (rate limited)...`);
-    console.log(`⏱️  Estimated time: ~${Math.round((postsToProcess * this.requestDelay) / 1000)}s`);
-    
-    for (let i = 0; i < postsToProcess; i++) {
-      const post = posts[i];
-      
-      try {
-        const comments = await this.fetchComments(post.id, commentLimit);
-        
-        comments.forEach(comment => {
-          allComments.push({
+    let posts;
+    let selected;
+    let fetchStartedAt;
+    const done = new Set();
+    const commentsByPost = new Map();
+
+    if (checkpoint) {
+      posts = checkpoint.posts;
+      const postsById = new Map(posts.map(post => [post.id, post]));
+      selected = checkpoint.selected.map(id => postsById.get(id)).filter(Boolean);
+      fetchStartedAt = checkpoint.startedAt;
+      checkpoint.done.forEach(id => done.add(id));
+      checkpoint.comments.forEach(comment => {
+        if (!commentsByPost.has(comment.post_id)) commentsByPost.set(comment.post_id, []);
+        commentsByPost.get(comment.post_id).push(comment);
+      });
+      console.log(`♻️  Resuming from ${checkpointPath}: ${done.size}/${selected.length} posts already have comments`);
+    } else {
+      fetchStartedAt = new Date().toISOString();
+      posts = await this.fetchPosts(subreddits, postLimit, options.sources);
+
+      if (posts.length === 0) {
+        console.log('⚠️  No posts fetched. Cannot fetch comments.');
+        return { posts, comments: [] };
+      }
+
+      // Limit number of posts to fetch comments from to respect rate limits
+      selected = this.selectPostsForComments(posts, maxPostsForComments, commentPostOrder, scoringModel);
+    }
+
+    const saveCheckpoint = () => checkpointStore.save({
+      params,
+      posts,
+      selected: selected.map(post => post.id),
+      done: [...done],
+      comments: [...commentsByPost.values()].flat(),
+      startedAt: fetchStartedAt
+    });
+
+    // The listings are the expensive part to lose; save them before any comments
+    if (checkpointStore && !checkpoint) await saveCheckpoint();
+
+    const queue = selected.filter(post => !done.has(post.id));
+    const workers = Math.min(commentConcurrency, queue.length);
+    let next = 0;
+    let failed = 0;
+    let fatalError = null;
+
+    console.log(`\nFetching comments from ${queue.length} posts (${workers} at a time, rate limited)...`);
+    // At least one request per post; deeper threads need more for "load more" stubs
+    console.log(`⏱️  Estimated time: ~${Math.round(this.rateLimiter.estimate(queue.length) / 1000)}s`);
+
+    const worker = async () => {
+      while (next < queue.length && !fatalError) {
+        const post = queue[next++];
+
+        try {
+          const comments = await this.fetchComments(post.id, commentLimit, {
+            depth: options.commentDepth,
+            budget: options.commentBudget
+          });
+
+          commentsByPost.set(post.id, comments.map(comment => ({
             ...comment,
             post_id: post.id,
             post_title: post.title,
             subreddit: post.subreddit
-          });
-        });
+          })));
+          done.add(post.id);
 
-        // Progress indicator
-        if ((i + 1) % 5 === 0) {
-          console.log(`✓ Processed ${i + 1}/${postsToProcess} posts...`);
-        }
-        
-        // Add small delay between comment fetches
-        if (i < postsToProcess - 1) {
-          await this.sleep(500);
+          // Progress indicator
+          if (done.size % 5 === 0) {
+            console.log(`✓ Processed ${done.size}/${selected.length} posts...`);
+          }
+
+          if (checkpointStore) await saveCheckpoint();
+        } catch (error) {
+          if (error instanceof StorageError) {
+            fatalError = error;
+            return;
+          }
+          failed++;
+          console.error(`⚠️  Skipping comments for post ${post.id}: ${error.message}`);
+          if (error.message.includes('rate limit')) {
+            console.error(`⚠️  Rate limit hit while fetching comments`);
+          }
         }
-      } catch (error) {
-        console.error(`⚠️  Skipping comments for post ${post.id}: ${error.message}`);
       }
-    }
+    };
+
+    await Promise.all(Array.from({ length: workers }, worker));
+    if (fatalError) throw fatalError;
+
+    // Completion order depends on the workers; report comments in selection order
+    const allComments = selected.flatMap(post => commentsByPost.get(post.id) || []);
 
     console.log(`✓ Successfully fetched ${allComments.length} comments`);
-    console.log(`📊 Total API requests made: ${this.requestCount}`);
+    console.log(`📊 Total: ${this.describeUsage()}`);
+
+    if (options.snapshotPath) {
+      await new SnapshotStore().save(options.snapshotPath, {
+        posts,
+        comments: allComments,
+        params,
+        fetchStartedAt,
+        fetchCompletedAt: new Date().toISOString()
+      });
+      console.log(`💾 Snapshot saved to ${options.snapshotPath}`);
+    }
+
+    if (checkpointStore) {
+      if (failed > 0) {
+        console.log(`⚠️  ${failed} posts failed; run again with --checkpoint ${checkpointPath} to retry them`);
+      } else {
+        await checkpointStore.clear();
+      }
+    }
 
     return { posts, comments: allComments };
   }
@@ -0,0 +1,391 @@
+import snoowrap from 'snoowrap';
+import { ConfigError } from './errors.js';
+
+/**
+ * Ways RedditClient can reach Reddit. "auto" picks the first one the
+ * available credentials allow, in the order listed after it.
+ */
+export const AUTH_MODES = ['auto', 'script', 'refresh', 'app', 'public'];
+
+const DEFAULT_USER_AGENT = 'RedditTrendAnalyzer/1.0.0';
+
+/**
+ * Flatten a comment listing into nodes with nested replies, dropping "more" stubs
+ * @param {Object} listing - Reddit Listing of t1/more children
+ * @returns {Array<Object>} Comment nodes
+ */
+function readCommentListing(listing) {
+  return (listing?.data?.children || [])
+    .filter(child => child.kind === 't1')
+    .map(({ data }) => ({
+      id: data.id,
+      parent_id: data.parent_id,
+      author: data.author,
+      body: data.body,
+      score: data.score,
+      created_utc: data.created_utc,
+      is_submitter: Boolean(data.is_submitter),
+      permalink: data.permalink,
+      replies: data.replies ? readCommentListing(data.replies) : []
+    }));
+}
+
+/**
+ * SnoowrapTransport - Authenticated access through snoowrap, as a script app
+ * (username and password) or with a refresh token
+ */
+export class SnoowrapTransport {
+  /**
+   * @param {Object} credentials - snoowrap credentials (userAgent, clientId, clientSecret, and
+   *   either username and password or refreshToken)
+   * @param {RateLimiter} rateLimiter - Limiter every request goes through
+   */
+  constructor(credentials, rateLimiter) {
+    this.mode = credentials.refreshToken ? 'refresh' : 'script';
+    this.rateLimiter = rateLimiter;
+    this.reddit = new snoowrap(credentials);
+
+    // Pacing comes from the rate limiter, so snoowrap's own fixed delay is off
+    this.reddit.config({
+      requestDelay: 0,
+      requestTimeout: 30000,
+      continueAfterRatelimitError: true,
+      warnings: false,
+      debug: false
+    });
+    this.installRateLimiter();
+  }
+
+  /**
+   * Route every HTTP request snoowrap makes through the rate limiter, including
+   * the extra requests behind expandReplies, and read the x-ratelimit-* headers
+   * of every response (errors included).
+   */
+  installRateLimiter() {
+    const rawRequest = this.reddit.rawRequest.bind(this.reddit);
+
+    this.reddit.rawRequest = async options => {
+      await this.rateLimiter.acquire();
+
+      const transform = options.transform;
+      const hooked = transform
+        ? {
+          ...options,
+          transform: (body, response) => {
+            this.rateLimiter.update(response.headers);
+            return transform(body, response);
+          }
+        }
+        : options;
+
+      try {
+        return await rawRequest(hooked);
+      } catch (error) {
+        if (error.response?.headers) this.rateLimiter.update(error.response.headers);
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Request one page of a subreddit listing
+   * @param {string} subreddit - Subreddit name
+   * @param {Object} source - Source from RedditClient.parseSources
+   * @param {number} limit - Page size (max 100)
+   * @param {string|null} after - Fullname of the last post of the previous page
+   * @returns {Promise<Array>} Posts in Reddit's JSON shape
+   */
+  async getListing(subreddit, source, limit, after) {
+    const sub = this.reddit.getSubreddit(subreddit);
+    const options = { limit, ...(after ? { after } : {}) };
+    let listing;
+
+    switch (source.type) {
+      case 'hot':
+        listing = await sub.getHot(options);
+        break;
+      case 'rising':
+        listing = await sub.getRising(options);
+        break;
+      case 'new':
+        listing = await sub.getNew(options);
+        break;
+      case 'top':
+        listing = await sub.getTop({ ...options, time: source.time });
+        break;
+      case 'controversial':
+        listing = await sub.getControversial({ ...options, time: source.time });
+        break;
+      case 'search':
+        listing = await sub.search({ ...options, query: source.query, time: source.time, sort: 'relevance' });
+        break;
+      default:
+        throw new Error(`Unknown listing type "${source.type}"`);
+    }
+
+    return listing.map(post => ({
+      id: post.id,
+      name: post.name,
+      subreddit: post.subreddit.display_name,
+      title: post.title,
+      selftext: post.selftext,
+      author: post.author.name,
+      score: post.score,
+      upvote_ratio: post.upvote_ratio,
+      num_comments: post.num_comments,
+      created_utc: post.created_utc,
+      url: post.url,
+      permalink: post.permalink
+    }));
+  }
+
+  /**
+   * Fetch a post's comment tree, expanding "load more" stubs down to `depth`
+   * @param {string} postId - Reddit post ID
+   * @param {Object} options - {limit, depth}
+   * @returns {Promise<Array>} Top-level comment nodes with nested replies
+   */
+  async getCommentTree(postId, { limit, depth }) {
+    const submission = await this.reddit.getSubmission(postId).expandReplies({ limit, depth });
+
+    const toNode = comment => ({
+      id: comment.id,
+      parent_id: comment.parent_id,
+      author: comment.author.name,
+      body: comment.body,
+      score: comment.score,
+      created_utc: comment.created_utc,
+      is_submitter: Boolean(comment.is_submitter),
+      permalink: comment.permalink,
+      replies: (comment.replies || []).map(toNode)
+    });
+
+    return submission.comments.map(toNode);
+  }
+
+  toString() {
+    return this.mode === 'refresh' ? 'OAuth with a refresh token' : 'OAuth as a script app (username and password)';
+  }
+}
+
+/**
+ * JsonTransport - Reads Reddit's JSON listing endpoints over plain HTTP, either
+ * anonymously from the public `.json` pages or with an application-only
+ * (client credentials) token. The base URL can point at a local mock server.
+ */
+export class JsonTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.userAgent - User-Agent header
+   * @param {string} options.clientId - App client ID (app-only mode)
+   * @param {string} options.clientSecret - App client secret (app-only mode)
+   * @param {string} options.baseUrl - Override for both the API and token endpoints
+   * @param {number} options.timeoutMs - Request timeout in milliseconds
+   * @param {RateLimiter} rateLimiter - Limiter every request goes through
+   */
+  constructor({ userAgent, clientId = null, clientSecret = null, baseUrl = null, timeoutMs = 30000 }, rateLimiter) {
+    this.mode = clientId ? 'app' : 'public';
+    this.userAgent = userAgent;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.timeoutMs = timeoutMs;
+    this.rateLimiter = rateLimiter;
+
+    const trimmed = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+    this.apiUrl = trimmed || (this.mode === 'app' ? 'https://oauth.reddit.com' : 'https://www.reddit.com');
+    this.tokenUrl = `${trimmed || 'https://www.reddit.com'}/api/v1/access_token`;
+
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+    this.tokenRequest = null;
+  }
+
+  /**
+   * Build an error that retryWithBackoff understands
+   * @param {Response} response - Failed fetch response
+   * @param {string} url - Requested URL
+   * @returns {Error} Error with statusCode and response headers
+   */
+  httpError(response, url) {
+    const error = new Error(`HTTP ${response.status} ${response.statusText} from ${url}`);
+    error.statusCode = response.status;
+    error.response = { headers: Object.fromEntries(response.headers.entries()) };
+    return error;
+  }
+
+  /**
+   * Application-only token, requested again a minute before it expires.
+   * Concurrent callers share one token request.
+   * @returns {Promise<string>} Bearer token
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.tokenExpiresAt - 60000) {
+      return this.accessToken;
+    }
+
+    if (!this.tokenRequest) {
+      this.tokenRequest = (async () => {
+        await this.rateLimiter.acquire();
+        const response = await fetch(this.tokenUrl, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Basic ${Buffer.from(`${this.clientId}:${this.clientSecret || ''}`).toString('base64')}`,
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'User-Agent': this.userAgent
+          },
+          body: 'grant_type=client_credentials',
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) throw this.httpError(response, this.tokenUrl);
+
+        const body = await response.json();
+        if (!body.access_token) {
+          throw new Error(`No access token in response from ${this.tokenUrl}: ${body.error || 'unknown error'}`);
+        }
+        this.accessToken = body.access_token;
+        this.tokenExpiresAt = Date.now() + (body.expires_in || 3600) * 1000;
+      })().finally(() => {
+        this.tokenRequest = null;
+      });
+    }
+
+    await this.tokenRequest;
+    return this.accessToken;
+  }
+
+  /**
+   * GET a JSON endpoint through the rate limiter
+   * @param {string} pathname - Path such as /r/gaming/hot
+   * @param {Object} query - Query parameters; null and undefined values are skipped
+   * @param {boolean} retried - Whether this is the retry after a rejected token
+   * @returns {Promise<*>} Parsed JSON body
+   */
+  async getJson(pathname, query = {}, retried = false) {
+    // Public pages are only JSON with the .json suffix; the OAuth API is JSON either way
+    const url = new URL(`${this.apiUrl}${pathname}${this.mode === 'public' ? '.json' : ''}`);
+    Object.entries({ ...query, raw_json: 1 })
+      .filter(([, value]) => value !== null && value !== undefined)
+      .forEach(([key, value]) => url.searchParams.set(key, value));
+
+    const headers = { 'User-Agent': this.userAgent };
+    if (this.mode === 'app') {
+      headers.Authorization = `Bearer ${await this.getAccessToken()}`;
+    }
+
+    await this.rateLimiter.acquire();
+    const response = await fetch(url, { headers, signal: AbortSignal.timeout(this.timeoutMs) });
+    this.rateLimiter.update(Object.fromEntries(response.headers.entries()));
+
+    if (response.status === 401 && this.mode === 'app' && !retried) {
+      // Revoked or expired early; try once more with a new token
+      this.accessToken = null;
+      return this.getJson(pathname, query, true);
+    }
+    if (!response.ok) throw this.httpError(response, url.toString());
+
+    return response.json();
+  }
+
+  /**
+   * Request one page of a subreddit listing
+   * @param {string} subreddit - Subreddit name
+   * @param {Object} source - Source from RedditClient.parseSources
+   * @param {number} limit - Page size (max 100)
+   * @param {string|null} after - Fullname of the last post of the previous page
+   * @returns {Promise<Array>} Posts in Reddit's JSON shape
+   */
+  async getListing(subreddit, source, limit, after) {
+    const name = encodeURIComponent(subreddit);
+    const listing = source.type === 'search'
+      ? await this.getJson(`/r/${name}/search`, {
+        q: source.query, restrict_sr: 1, sort: 'relevance', t: source.time, limit, after
+      })
+      : await this.getJson(`/r/${name}/${source.type}`, { t: source.time, limit, after });
+
+    return (listing?.data?.children || [])
+      .filter(child => child.kind === 't3')
+      .map(child => child.data);
+  }
+
+  /**
+   * Fetch a post's comment tree down to `depth`. "Load more" stubs are not
+   * expanded, so very large threads come back trimmed.
+   * @param {string} postId - Reddit post ID
+   * @param {Object} options - {limit, depth}
+   * @returns {Promise<Array>} Top-level comment nodes with nested replies
+   */
+  async getCommentTree(postId, { limit, depth }) {
+    const [, comments] = await this.getJson(`/comments/${encodeURIComponent(postId)}`, {
+      limit, depth, sort: 'top'
+    });
+    return readCommentListing(comments);
+  }
+
+  toString() {
+    const target = this.apiUrl.replace(/^https?:\/\//, '');
+    return this.mode === 'app'
+      ? `application-only OAuth (client credentials) via ${target}`
+      : `public JSON pages without login via ${target}`;
+  }
+}
+
+/**
+ * Pick and create the transport for an auth mode
+ * @param {Object} env - Environment variables (REDDIT_*)
+ * @param {RateLimiter} rateLimiter - Limiter shared by every request
+ * @returns {SnoowrapTransport|JsonTransport} Transport
+ */
+export function createRedditTransport(env, rateLimiter) {
+  const requested = (env.REDDIT_AUTH || 'auto').trim().toLowerCase();
+  if (!AUTH_MODES.includes(requested)) {
+    throw new ConfigError(`Unknown REDDIT_AUTH "${env.REDDIT_AUTH}". Use one of: ${AUTH_MODES.join(', ')}`);
+  }
+
+  const userAgent = env.REDDIT_USER_AGENT || DEFAULT_USER_AGENT;
+  const clientId = env.REDDIT_CLIENT_ID || null;
+  const clientSecret = env.REDDIT_CLIENT_SECRET || null;
+  const baseUrl = env.REDDIT_BASE_URL || null;
+
+  let mode = requested;
+  if (mode === 'auto') {
+    if (clientId && env.REDDIT_USERNAME && env.REDDIT_PASSWORD) mode = 'script';
+    else if (clientId && env.REDDIT_REFRESH_TOKEN) mode = 'refresh';
+    else if (clientId && clientSecret) mode = 'app';
+    else mode = 'public';
+  }
+
+  const requirements = {
+    script: ['REDDIT_CLIENT_ID', 'REDDIT_CLIENT_SECRET', 'REDDIT_USERNAME', 'REDDIT_PASSWORD'],
+    refresh: ['REDDIT_CLIENT_ID', 'REDDIT_REFRESH_TOKEN'],
+    app: ['REDDIT_CLIENT_ID', 'REDDIT_CLIENT_SECRET'],
+    public: []
+  };
+  const missing = requirements[mode].filter(name => !env[name]);
+  if (missing.length > 0) {
+    throw new ConfigError(`REDDIT_AUTH=${mode} needs ${missing.join(', ')}`);
+  }
+
+  if (baseUrl && !/^https?:\/\//.test(baseUrl)) {
+    throw new ConfigError(`REDDIT_BASE_URL must be an http(s) URL, got "${baseUrl}"`);
+  }
+
+  if (mode === 'app' || mode === 'public') {
+    return new JsonTransport({
+      userAgent,
+      clientId: mode === 'app' ? clientId : null,
+      clientSecret: mode === 'app' ? clientSecret : null,
+      baseUrl
+    }, rateLimiter);
+  }
+
+  // snoowrap always talks to https://oauth.reddit.com
+  if (baseUrl) {
+    throw new ConfigError('REDDIT_BASE_URL only works with REDDIT_AUTH=app or public');
+  }
+
+  return new SnoowrapTransport(mode === 'refresh'
+    ? { userAgent, clientId, clientSecret: clientSecret || '', refreshToken: env.REDDIT_REFRESH_TOKEN }
+    : { userAgent, clientId, clientSecret, username: env.REDDIT_USERNAME, password: env.REDDIT_PASSWORD },
+  rateLimiter);
+}
@@ -0,0 +1,312 @@
+import RecommendationEngine from './recommendationEngine.js';
+
+/**
+ * Current report format version. Bump when fields are renamed or removed.
+ */
+export const REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * ReportBuilder - Turns raw analysis results into a plain, serializable report model
+ * shared by the terminal display and every exporter
+ */
+class ReportBuilder {
+  /**
+   * @param {Object} options - Builder options
+   * @param {RecommendationEngine} options.recommendationEngine - Ranks content ideas
+   */
+  constructor({ recommendationEngine = new RecommendationEngine() } = {}) {
+    this.recommendationEngine = recommendationEngine;
+  }
+
+  /**
+   * Describe how long before the current run a previous run happened, e.g. "yesterday" or "5h ago"
+   * @param {string} timestamp - ISO timestamp of the previous run
+   * @param {string} now - ISO timestamp of the current run (default: now), so replayed
+   *   snapshots and later re-exports describe the gap between the runs
+   * @returns {string} Human-readable relative time
+   */
+  static formatSince(timestamp, now = null) {
+    const reference = now ? new Date(now).getTime() : Date.now();
+    const hours = (reference - new Date(timestamp).getTime()) / 3600000;
+    if (hours < 1) return `${Math.max(1, Math.round(hours * 60))}m ago`;
+    if (hours < 24) return `${Math.round(hours)}h ago`;
+    const days = Math.round(hours / 24);
+    return days === 1 ? 'yesterday' : `${days} days ago`;
+  }
+
+  /**
+   * Describe a keyword's run-over-run change, e.g. "up 240% since yesterday"
+   * @param {Object} item - Keyword with velocity data from TrendAnalyzer.calculateKeywordVelocity
+   * @param {string} since - ISO timestamp of the previous run
+   * @param {string} now - ISO timestamp of the current run
+   * @returns {string|null} Change description, or null when there is no history
+   */
+  static formatVelocity(item, since, now = null) {
+    if (!since || item.previousRate === null || item.previousRate === undefined) return null;
+    const when = this.formatSince(since, now);
+    if (item.isNew) return `new since ${when}`;
+
+    const change = Math.round(item.velocity);
+    if (change === 0) return `flat since ${when}`;
+    return `${change > 0 ? 'up' : 'down'} ${Math.abs(change)}% since ${when}`;
+  }
+
+  /**
+   * Describe what drove a trending score, e.g. "120.0 engagement/hour (+1.85), 92% upvoted (-0.40)"
+   * @param {Array} breakdown - scoreBreakdown from ScoringModel.scorePosts, largest contribution first
+   * @returns {string} Explanation
+   */
+  static explainScore(breakdown) {
+    return breakdown
+      .map(part => `${part.detail} (${part.contribution >= 0 ? '+' : ''}${part.contribution.toFixed(2)})`)
+      .join(', ');
+  }
+
+  /**
+   * Place topics on a frequency x sentiment matrix. Frequency is high when a topic
+   * is mentioned at least as often as the median topic.
+   * @param {Array} keywordSentiment - Output of SentimentAnalyzer.getKeywordSentiment
+   * @returns {Object} {medianMentions, topics, matrix}
+   */
+  buildTopicSentiment(keywordSentiment) {
+    const counts = keywordSentiment.map(item => item.mentions).sort((a, b) => a - b);
+    const median = counts.length > 0 ? counts[Math.floor((counts.length - 1) / 2)] : 0;
+
+    const matrix = {
+      high: { positive: [], neutral: [], negative: [] },
+      low: { positive: [], neutral: [], negative: [] }
+    };
+
+    const topics = keywordSentiment.map(item => {
+      const frequency = item.mentions >= median ? 'high' : 'low';
+      const polarity = item.sentiment.includes('Positive')
+        ? 'positive'
+        : item.sentiment.includes('Negative') ? 'negative' : 'neutral';
+      matrix[frequency][polarity].push(item.keyword);
+
+      return {
+        keyword: item.keyword,
+        mentions: item.mentions,
+        postMentions: item.postMentions,
+        commentMentions: item.commentMentions,
+        averageScore: item.averageScore,
+        sentiment: item.sentiment,
+        positiveShare: item.positiveShare,
+        negativeShare: item.negativeShare,
+        frequency,
+        polarity,
+        examples: item.examples
+      };
+    });
+
+    return { medianMentions: median, topics, matrix };
+  }
+
+  /**
+   * Summarize keyword themes with their share of posts, engagement and sentiment
+   * @param {Array} themes - Output of TrendAnalyzer.clusterTopics, with sentiment statistics
+   * @param {number} postsCount - Number of posts analyzed
+   * @returns {Object} {unthemedPosts, topics}
+   */
+  buildThemes(themes, postsCount) {
+    const topics = themes.map((theme, index) => ({
+      rank: index + 1,
+      label: theme.label,
+      terms: theme.terms.slice(0, 8),
+      postCount: theme.posts.length,
+      share: postsCount > 0 ? theme.posts.length / postsCount : 0,
+      totalScore: theme.engagement.totalScore,
+      avgScore: theme.engagement.avgScore,
+      avgComments: theme.engagement.avgComments,
+      avgTrendingScore: theme.engagement.avgTrendingScore,
+      sentimentScore: theme.sentiment.averageScore,
+      sentiment: theme.sentiment.averageSentiment,
+      topPosts: [...theme.posts]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 3)
+        .map(post => ({
+          id: post.id,
+          title: post.title,
+          subreddit: post.subreddit,
+          score: post.score,
+          permalink: post.permalink
+        }))
+    }));
+
+    const themed = topics.reduce((sum, topic) => sum + topic.postCount, 0);
+    return { unthemedPosts: postsCount - themed, topics };
+  }
+
+  /**
+   * Put each subreddit's sentiment next to its overlap figures
+   * @param {Object|null} overlap - Output of TrendAnalyzer.compareSubreddits
+   * @param {Object} subredditSentiment - Sentiment statistics by subreddit
+   * @returns {Object|null} {subreddits, pairs, sharedTopics}, or null with fewer than two subreddits
+   */
+  buildOverlap(overlap, subredditSentiment) {
+    if (!overlap) return null;
+
+    return {
+      subreddits: overlap.subreddits.map(item => ({
+        ...item,
+        sentimentScore: subredditSentiment[item.subreddit]?.averageScore ?? null,
+        sentiment: subredditSentiment[item.subreddit]?.averageSentiment ?? null
+      })),
+      pairs: overlap.pairs,
+      sharedTopics: overlap.sharedTopics
+    };
+  }
+
+  /**
+   * Build the report model
+   * @param {Object} results - Output of RedditTrendAnalyzerApp.analyze
+   * @returns {Object} Report model, see report.schema.json
+   */
+  build(results) {
+    const { previousRunAt, capturedAt } = results;
+
+    const keywords = results.keywordVelocity.map((item, index) => ({
+      rank: index + 1,
+      keyword: item.keyword,
+      count: item.count,
+      weight: item.weight,
+      subredditCount: item.subredditCount,
+      rate: item.rate ?? null,
+      velocity: item.velocity ?? null,
+      acceleration: item.acceleration ?? null,
+      isNew: item.isNew ?? false,
+      changeLabel: ReportBuilder.formatVelocity(item, previousRunAt, capturedAt)
+    }));
+
+    const trendingPosts = results.trendingPosts.map((post, index) => ({
+      rank: index + 1,
+      id: post.id,
+      title: post.title,
+      subreddit: post.subreddit,
+      author: post.author,
+      score: post.score,
+      num_comments: post.num_comments,
+      upvote_ratio: post.upvote_ratio,
+      created_utc: post.created_utc,
+      trendingScore: post.trendingScore,
+      scoreBreakdown: post.scoreBreakdown,
+      scoreExplanation: ReportBuilder.explainScore(post.scoreBreakdown),
+      sentiment: post.sentiment?.combined?.sentiment || null,
+      sentimentScore: post.sentiment?.combined?.score ?? null,
+      permalink: post.permalink
+    }));
+
+    const subreddits = Object.entries(results.trendsBySubreddit).map(([subreddit, data]) => ({
+      subreddit,
+      postCount: data.postCount,
+      avgScore: data.avgScore,
+      sentimentScore: results.subredditSentiment[subreddit]?.averageScore ?? null,
+      sentiment: results.subredditSentiment[subreddit]?.averageSentiment ?? null,
+      topKeywords: data.topKeywords
+    }));
+
+    const topicSentiment = this.buildTopicSentiment(results.keywordSentiment);
+
+    const commentSentiment = results.commentStats
+      ? {
+          stats: results.commentStats,
+          distribution: results.commentDistribution
+        }
+      : null;
+
+    return {
+      schemaVersion: REPORT_SCHEMA_VERSION,
+      generatedAt: new Date().toISOString(),
+      capturedAt: results.capturedAt,
+      source: results.source,
+      summary: {
+        postsCount: results.postsCount,
+        commentsCount: results.commentsCount,
+        subreddits: results.subreddits,
+        previousRunAt: previousRunAt || null,
+        scoring: results.scoring
+      },
+      keywords,
+      themes: this.buildThemes(results.themes, results.postsCount),
+      trendingPosts,
+      sentiment: {
+        posts: {
+          stats: results.sentimentStats,
+          distribution: results.sentimentDistribution
+        },
+        comments: commentSentiment,
+        byDepth: results.depthStats,
+        topics: topicSentiment
+      },
+      subreddits,
+      overlap: this.buildOverlap(results.subredditOverlap, results.subredditSentiment),
+      timing: results.engagementTiming,
+      titlePatterns: results.titlePatterns,
+      signals: results.mentionSignals,
+      emergingTopics: {
+        windowHours: results.emergingWindowHours,
+        topics: results.emergingTopics
+      },
+      comments: {
+        onlyKeywords: results.commentOnlyKeywords,
+        divergence: results.divergence,
+        topComments: results.topComments.map(({ post, comments }) => ({
+          postId: post.id,
+          postTitle: post.title,
+          comments: comments.map(comment => ({
+            author: comment.author,
+            score: comment.score,
+            body: comment.body,
+            permalink: comment.permalink || null
+          }))
+        })),
+        threads: results.threadActivity,
+        replyKeywords: results.replyTrends
+      },
+      recommendations: this.buildRecommendations(keywords, results, topicSentiment)
+    };
+  }
+
+  /**
+   * Rank content ideas and draw strategy insights for content creators
+   * @param {Array} keywords - Report keywords
+   * @param {Object} results - Output of RedditTrendAnalyzerApp.analyze
+   * @param {Object} topicSentiment - Output of buildTopicSentiment
+   * @returns {Object} Recommendations section
+   */
+  buildRecommendations(keywords, results, topicSentiment) {
+    const { sentimentStats, emergingTopics, postIdsByKeyword } = results;
+
+    // Fastest risers compared with the previous run
+    const risers = keywords
+      .filter(item => item.velocity > 0 && !item.isNew)
+      .sort((a, b) => b.velocity - a.velocity)
+      .slice(0, 3);
+
+    const ideas = this.recommendationEngine.recommend({
+      keywords,
+      topics: topicSentiment.topics,
+      emergingTopics,
+      posts: results.rankedPosts,
+      postIdsByKeyword
+    });
+
+    return {
+      ideas,
+      topTopics: keywords.slice(0, 5),
+      risers,
+      emerging: emergingTopics.slice(0, 3),
+      insights: this.recommendationEngine.insights({
+        sentimentStats,
+        ideas,
+        timing: results.engagementTiming,
+        titlePatterns: results.titlePatterns,
+        keywords,
+        postsCount: results.postsCount,
+        postIdsByKeyword
+      })
+    };
+  }
+}
+
+export default ReportBuilder;
@@ -0,0 +1,451 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ConfigError, StorageError } from './errors.js';
+
+/**
+ * Write a file, creating its directory first
+ * @param {string} filePath - Destination path
+ * @param {string} content - File content
+ * @returns {Promise<string>} The path that was written
+ */
+async function writeFile(filePath, content) {
+  try {
+    await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    await fs.writeFile(filePath, content, 'utf8');
+  } catch (error) {
+    throw new StorageError(`Cannot write report file ${filePath}: ${error.message}`);
+  }
+  return filePath;
+}
+
+/**
+ * JsonExporter - Writes the full report model as JSON (see report.schema.json)
+ */
+export class JsonExporter {
+  /**
+   * @param {Object} report - Report model from ReportBuilder
+   * @param {string} outputDir - Directory to write into
+   * @param {string} baseName - File name without extension
+   * @returns {Promise<Array<string>>} Paths of written files
+   */
+  async export(report, outputDir, baseName) {
+    const filePath = path.join(outputDir, `${baseName}.json`);
+    return [await writeFile(filePath, JSON.stringify(report, null, 2))];
+  }
+}
+
+/**
+ * CsvExporter - Writes one CSV file per report section
+ */
+export class CsvExporter {
+  /**
+   * Quote a value for CSV when it contains separators, quotes or newlines
+   * @param {*} value - Cell value
+   * @returns {string} CSV-safe cell
+   */
+  escape(value) {
+    if (value === null || value === undefined) return '';
+    const text = Array.isArray(value) ? value.join('; ') : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Render rows as CSV
+   * @param {Array<string>} columns - Column names, also used as row keys
+   * @param {Array<Object>} rows - Row objects
+   * @returns {string} CSV content
+   */
+  toCsv(columns, rows) {
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(column => this.escape(row[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * @param {Object} report - Report model from ReportBuilder
+   * @param {string} outputDir - Directory to write into
+   * @param {string} baseName - File name prefix
+   * @returns {Promise<Array<string>>} Paths of written files
+   */
+  async export(report, outputDir, baseName) {
+    const sentimentRows = ['veryPositive', 'positive', 'neutral', 'negative', 'veryNegative'].map(category => ({
+      category,
+      posts: report.sentiment.posts.stats[category],
+      postsPercent: report.sentiment.posts.distribution[category].toFixed(1),
+      comments: report.sentiment.comments?.stats[category] ?? '',
+      commentsPercent: report.sentiment.comments?.distribution[category].toFixed(1) ?? ''
+    }));
+
+    const sections = {
+      keywords: this.toCsv(
+        ['rank', 'keyword', 'count', 'weight', 'subredditCount', 'rate', 'velocity', 'acceleration', 'isNew',
+          'changeLabel'],
+        report.keywords
+      ),
+      themes: this.toCsv(
+        ['rank', 'label', 'postCount', 'share', 'totalScore', 'avgScore', 'avgComments', 'avgTrendingScore',
+          'sentimentScore', 'sentiment', 'terms'],
+        report.themes.topics.map(item => ({
+          ...item,
+          terms: item.terms.map(term => `${term.keyword} (${term.count})`)
+        }))
+      ),
+      posts: this.toCsv(
+        ['rank', 'id', 'subreddit', 'title', 'author', 'score', 'num_comments', 'upvote_ratio',
+          'created_utc', 'trendingScore', 'scoreExplanation', 'sentiment', 'sentimentScore', 'permalink'],
+        report.trendingPosts
+      ),
+      subreddits: this.toCsv(
+        ['subreddit', 'postCount', 'avgScore', 'sentimentScore', 'sentiment', 'topKeywords'],
+        report.subreddits.map(item => ({
+          ...item,
+          topKeywords: item.topKeywords.map(k => `${k.keyword} (${k.count}, ${k.weight.toFixed(1)})`)
+        }))
+      ),
+      timing: this.toCsv(
+        ['subreddit', 'dimension', 'bucket', 'posts', 'medianScore', 'medianComments', 'medianUpvoteRatio',
+          'medianEngagement', 'lift', 'best'],
+        [{ subreddit: '', ...report.timing.overall }, ...report.timing.subreddits].flatMap(profile =>
+          Object.entries(profile.dimensions).flatMap(([dimension, rows]) => rows.map(row => ({
+            subreddit: profile.subreddit,
+            dimension,
+            ...row,
+            best: profile.best[dimension] === row.bucket
+          }))))
+      ),
+      titles: this.toCsv(
+        ['kind', 'pattern', 'posts', 'subreddits', 'relativeEngagement', 'baseline', 'lift', 'beatMedian',
+          'outperforms', 'examples'],
+        report.titlePatterns.patterns.map(item => ({
+          ...item,
+          examples: item.examples.map(example => `${example.title} (r/${example.subreddit})`)
+        }))
+      ),
+      signals: this.toCsv(
+        ['kind', 'name', 'count'],
+        Object.entries(report.signals).flatMap(([kind, items]) => items.map(item => ({ kind, ...item })))
+      ),
+      sentiment: this.toCsv(
+        ['category', 'posts', 'postsPercent', 'comments', 'commentsPercent'],
+        sentimentRows
+      ),
+      topics: this.toCsv(
+        ['keyword', 'mentions', 'postMentions', 'commentMentions', 'averageScore', 'sentiment',
+          'positiveShare', 'negativeShare', 'frequency', 'polarity'],
+        report.sentiment.topics.topics
+      )
+    };
+
+    // Similarity matrix, one row per subreddit, and the topics that cross over
+    if (report.overlap) {
+      const names = report.overlap.subreddits.map(item => item.subreddit);
+      const pairOf = (a, b) => report.overlap.pairs.find(pair => pair.subreddits.includes(a) && pair.subreddits.includes(b));
+      sections.overlap = this.toCsv(
+        ['subreddit', 'postCount', 'authorCount', 'sentimentScore', 'sentiment', 'uniqueTopics',
+          ...names.map(name => `topics:${name}`), ...names.map(name => `authors:${name}`)],
+        report.overlap.subreddits.map(item => ({
+          ...item,
+          uniqueTopics: item.uniqueTopics.map(topic => `${topic.keyword} (${topic.posts})`),
+          ...Object.fromEntries(names.flatMap(name => (name === item.subreddit
+            ? [[`topics:${name}`, 1], [`authors:${name}`, 1]]
+            : [
+                [`topics:${name}`, pairOf(item.subreddit, name).keywordSimilarity],
+                [`authors:${name}`, pairOf(item.subreddit, name).authorSimilarity]
+              ])))
+        }))
+      );
+      sections.crossover = this.toCsv(
+        ['keyword', 'subredditCount', 'totalPosts', 'posts'],
+        report.overlap.sharedTopics.map(item => ({
+          ...item,
+          posts: Object.entries(item.posts).map(([subreddit, count]) => `${subreddit} (${count})`)
+        }))
+      );
+    }
+
+    const written = [];
+    for (const [section, content] of Object.entries(sections)) {
+      written.push(await writeFile(path.join(outputDir, `${baseName}-${section}.csv`), content));
+    }
+    return written;
+  }
+}
+
+/**
+ * MarkdownExporter - Writes a short brief suitable for pasting into Notion or docs
+ */
+export class MarkdownExporter {
+  /**
+   * Escape characters that would break a Markdown table cell
+   * @param {*} value - Cell value
+   * @returns {string} Safe cell text
+   */
+  cell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Render a Markdown table
+   * @param {Array<string>} headers - Header labels
+   * @param {Array<Array>} rows - Row cells
+   * @returns {string} Markdown table
+   */
+  table(headers, rows) {
+    return [
+      `| ${headers.join(' | ')} |`,
+      `| ${headers.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(value => this.cell(value)).join(' | ')} |`)
+    ].join('\n');
+  }
+
+  /**
+   * Render the report as Markdown
+   * @param {Object} report - Report model from ReportBuilder
+   * @returns {string} Markdown document
+   */
+  render(report) {
+    const { summary, recommendations } = report;
+    const lines = [
+      '# Reddit Trend Brief',
+      '',
+      `Generated ${report.generatedAt} from data captured ${report.capturedAt}.`,
+      `${summary.postsCount} posts and ${summary.commentsCount} comments from ` +
+        summary.subreddits.map(name => `r/${name}`).join(', ') + '.',
+      '',
+      '## Content Ideas',
+      ''
+    ];
+    recommendations.ideas.forEach(idea => {
+      lines.push(`${idea.rank}. **${idea.keyword}** in r/${idea.targetSubreddit}: ${idea.angleLabel} ` +
+        `(opportunity ${idea.score}/100)`);
+      idea.rationale.slice(0, 3).forEach(reason => lines.push(`   - ${reason}`));
+      if (idea.examples[0]) {
+        lines.push(`   - Example: [${this.cell(idea.examples[0].title.trim())}](${idea.examples[0].permalink})`);
+      }
+    });
+    lines.push('');
+
+    if (recommendations.emerging.length > 0) {
+      lines.push('## Emerging Topics', '');
+      lines.push(this.table(
+        ['Topic', 'Posts', 'Lift', 'z-score'],
+        report.emergingTopics.topics.slice(0, 10).map(item =>
+          [item.keyword, item.count, `${item.lift.toFixed(1)}×`, item.zScore.toFixed(2)]
+        )
+      ), '');
+    }
+
+    lines.push('## Trending Keywords', '');
+    lines.push(this.table(
+      ['Rank', 'Keyword', 'Mentions', 'Weight', 'Change'],
+      report.keywords.slice(0, 15).map(item =>
+        [item.rank, item.keyword, item.count, item.weight.toFixed(1), item.changeLabel || '']
+      )
+    ), '');
+
+    if (report.themes.topics.length > 0) {
+      lines.push('## Themes', '');
+      lines.push(this.table(
+        ['Theme', 'Posts', 'Avg score', 'Avg comments', 'Sentiment', 'Keywords'],
+        report.themes.topics.map(item => [
+          item.label,
+          `${item.postCount} (${(item.share * 100).toFixed(1)}%)`,
+          item.avgScore.toFixed(0),
+          item.avgComments.toFixed(0),
+          item.sentimentScore.toFixed(2),
+          item.terms.map(term => term.keyword).join(', ')
+        ])
+      ), '');
+    }
+
+    lines.push('## Top Trending Posts', '');
+    report.trendingPosts.slice(0, 10).forEach(post => {
+      lines.push(`${post.rank}. [${this.cell(post.title)}](${post.permalink}) — r/${post.subreddit}, ` +
+        `${post.score} points, ${post.num_comments} comments, ${post.sentiment || 'N/A'}`);
+      lines.push(`   - Trending score ${post.trendingScore.toFixed(2)}: ${post.scoreExplanation}`);
+    });
+    lines.push('');
+
+    const { stats, distribution } = report.sentiment.posts;
+    lines.push('## Sentiment', '');
+    lines.push(this.table(
+      ['Category', 'Posts', 'Share'],
+      [
+        ['Very Positive', stats.veryPositive, `${distribution.veryPositive.toFixed(1)}%`],
+        ['Positive', stats.positive, `${distribution.positive.toFixed(1)}%`],
+        ['Neutral', stats.neutral, `${distribution.neutral.toFixed(1)}%`],
+        ['Negative', stats.negative, `${distribution.negative.toFixed(1)}%`],
+        ['Very Negative', stats.veryNegative, `${distribution.veryNegative.toFixed(1)}%`]
+      ]
+    ), '', `Average sentiment score: ${stats.averageScore.toFixed(2)}`, '');
+
+    const { topics, matrix } = report.sentiment.topics;
+    if (topics.length > 0) {
+      lines.push('## Sentiment by Topic', '');
+      lines.push(this.table(
+        ['Topic', 'Mentions', 'Avg score', 'Positive', 'Negative'],
+        topics.slice(0, 12).map(item => [
+          item.keyword,
+          item.mentions,
+          item.averageScore.toFixed(2),
+          `${(item.positiveShare * 100).toFixed(1)}%`,
+          `${(item.negativeShare * 100).toFixed(1)}%`
+        ])
+      ), '');
+      lines.push(this.table(
+        ['', 'Positive', 'Neutral', 'Negative'],
+        [['High frequency', 'high'], ['Low frequency', 'low']].map(([label, row]) => [
+          label,
+          ...['positive', 'neutral', 'negative'].map(column => matrix[row][column].slice(0, 6).join(', '))
+        ])
+      ), '');
+    }
+
+    lines.push('## By Subreddit', '');
+    report.subreddits.forEach(item => {
+      lines.push(`- **r/${item.subreddit}** (${item.postCount} posts, avg score ${item.avgScore.toFixed(0)}): ` +
+        item.topKeywords.slice(0, 5).map(k => k.keyword).join(', '));
+    });
+    lines.push('');
+
+    if (report.overlap) {
+      const names = report.overlap.subreddits.map(item => item.subreddit);
+      const pairOf = (a, b) => report.overlap.pairs.find(pair => pair.subreddits.includes(a) && pair.subreddits.includes(b));
+      const percent = value => `${(value * 100).toFixed(1)}%`;
+
+      lines.push('## Subreddit Overlap', '');
+      lines.push(this.table(
+        ['Subreddit', 'Posts', 'Authors', 'Sentiment', 'Only here'],
+        report.overlap.subreddits.map(item => [
+          `r/${item.subreddit}`,
+          item.postCount,
+          item.authorCount,
+          item.sentimentScore === null ? 'N/A' : `${item.sentimentScore.toFixed(2)} ${item.sentiment}`,
+          item.uniqueTopics.slice(0, 6).map(topic => topic.keyword).join(', ')
+        ])
+      ), '');
+      lines.push('Similarity of topics / authors (Jaccard):', '');
+      lines.push(this.table(
+        ['', ...names.map(name => `r/${name}`)],
+        names.map(row => [
+          `r/${row}`,
+          ...names.map(column => {
+            if (row === column) return '—';
+            const pair = pairOf(row, column);
+            return `${percent(pair.keywordSimilarity)} / ${percent(pair.authorSimilarity)}`;
+          })
+        ])
+      ), '');
+      if (report.overlap.sharedTopics.length > 0) {
+        lines.push('Crossing over: ' + report.overlap.sharedTopics.map(item =>
+          `${item.keyword} (${Object.entries(item.posts).map(([subreddit, count]) => `r/${subreddit} ${count}`).join(', ')})`
+        ).join('; '), '');
+      }
+    }
+
+    const { timing } = report;
+    lines.push(`## When and How to Post (${timing.timezone})`, '');
+    lines.push(this.table(
+      ['Subreddit', 'Hour', 'Day', 'Title length', 'Title', 'Format', 'Domain'],
+      [['All subreddits', timing.overall], ...timing.subreddits.map(item => [`r/${item.subreddit}`, item])]
+        .map(([label, profile]) => [
+          label,
+          ...['hour', 'weekday', 'titleLength', 'titleType', 'format', 'domain'].map(dimension => {
+            const bucket = profile.best[dimension];
+            if (!bucket) return '–';
+            const row = profile.dimensions[dimension].find(item => item.bucket === bucket);
+            return row.lift === null ? bucket : `${bucket} (${row.lift.toFixed(1)}×)`;
+          })
+        ])
+    ), '', `Best bucket by median score + 2 × comments, with its lift over the median post; buckets need ${timing.minPosts}+ posts.`, '');
+
+    const { titlePatterns } = report;
+    if (titlePatterns.patterns.length > 0) {
+      const winners = titlePatterns.patterns.filter(item => item.outperforms).slice(0, 10);
+      lines.push('## Title Patterns That Outperform', '');
+      if (winners.length > 0) {
+        lines.push(this.table(
+          ['Pattern', 'Posts', 'vs. median', 'Beat median', 'Best example'],
+          winners.map(item => [
+            item.pattern,
+            item.posts,
+            `${item.relativeEngagement.toFixed(2)}×`,
+            `${(item.beatMedian * 100).toFixed(0)}%`,
+            `[${item.examples[0].title}](${item.examples[0].permalink}) (r/${item.examples[0].subreddit})`
+          ])
+        ), '');
+      } else {
+        lines.push('No title pattern beats the median post of its subreddit.', '');
+      }
+      const losers = titlePatterns.patterns.filter(item => item.relativeEngagement < 1).slice(-3).reverse();
+      if (losers.length > 0) {
+        lines.push(`Weakest: ${losers.map(item => `${item.pattern} (${item.relativeEngagement.toFixed(2)}×)`).join(', ')}`, '');
+      }
+      lines.push(`Median engagement of posts using each pattern, as a multiple of their subreddit's median post; ` +
+        `${titlePatterns.postsCompared} posts compared, patterns need ${titlePatterns.minPosts}+ posts.`, '');
+    }
+
+    const { signals } = report;
+    if (Object.values(signals).some(list => list.length > 0)) {
+      lines.push('## Mentions and Links', '');
+      if (signals.subreddits.length > 0) {
+        lines.push(`- Subreddits: ${signals.subreddits.map(item => `r/${item.name} (${item.count})`).join(', ')}`);
+      }
+      if (signals.users.length > 0) {
+        lines.push(`- Users: ${signals.users.map(item => `u/${item.name} (${item.count})`).join(', ')}`);
+      }
+      if (signals.domains.length > 0) {
+        lines.push(`- Linked sites: ${signals.domains.map(item => `${item.name} (${item.count})`).join(', ')}`);
+      }
+      lines.push('');
+    }
+
+    if (report.comments.onlyKeywords.length > 0) {
+      lines.push('## What Comments Talk About', '');
+      lines.push(report.comments.onlyKeywords.slice(0, 10).map(k => `${k.keyword} (${k.count})`).join(', '), '');
+    }
+
+    lines.push('## Strategy Insights', '');
+    recommendations.insights.forEach(insight => lines.push(`- ${insight}`));
+    lines.push('');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @param {Object} report - Report model from ReportBuilder
+   * @param {string} outputDir - Directory to write into
+   * @param {string} baseName - File name without extension
+   * @returns {Promise<Array<string>>} Paths of written files
+   */
+  async export(report, outputDir, baseName) {
+    const filePath = path.join(outputDir, `${baseName}.md`);
+    return [await writeFile(filePath, this.render(report))];
+  }
+}
+
+const EXPORTERS = {
+  json: JsonExporter,
+  csv: CsvExporter,
+  markdown: MarkdownExporter
+};
+
+/**
+ * Names of the available export formats
+ */
+export const EXPORT_FORMATS = Object.keys(EXPORTERS);
+
+/**
+ * Create the exporter for a format name
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Object} Exporter instance with an export(report, outputDir, baseName) method
+ */
+export function createExporter(format) {
+  const Exporter = EXPORTERS[format];
+  if (!Exporter) {
+    throw new ConfigError(`Unknown report format "${format}". Use one of: terminal, ${EXPORT_FORMATS.join(', ')}`);
+  }
+  return new Exporter();
+}
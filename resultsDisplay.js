@@ -0,0 +1,614 @@
+import Table from 'cli-table3';
+import chalk from 'chalk';
+
+/**
+ * Display results in a formatted table
+ */
+class ResultsDisplay {
+  /**
+   * Render a full report built by ReportBuilder to the terminal
+   * @param {Object} report - Report model
+   */
+  static render(report) {
+    this.displaySummary(report.summary);
+    this.displayTrendingKeywords(report.keywords.slice(0, 15));
+
+    if (report.themes.topics.length > 0) {
+      this.displayThemes(report.themes);
+    }
+    this.displayTrendingPosts(report.trendingPosts);
+    this.displaySentimentStats(report.sentiment.posts.stats, report.sentiment.posts.distribution);
+
+    if (report.sentiment.topics.topics.length > 0) {
+      this.displayTopicSentiment(report.sentiment.topics);
+    }
+    this.displaySubredditTrends(report.subreddits);
+
+    if (report.overlap) {
+      this.displayOverlap(report.overlap);
+    }
+    this.displayTiming(report.timing);
+
+    if (report.titlePatterns.patterns.length > 0) {
+      this.displayTitlePatterns(report.titlePatterns);
+    }
+
+    if (Object.values(report.signals).some(list => list.length > 0)) {
+      this.displaySignals(report.signals);
+    }
+
+    if (report.sentiment.comments) {
+      this.displayCommentInsights(report);
+    }
+
+    if (report.comments.threads.length > 0) {
+      this.displayCommentThreads(report.comments.threads, report.sentiment.byDepth, report.comments.replyKeywords);
+    }
+
+    if (report.emergingTopics.topics.length > 0) {
+      this.displayEmergingTopics(report.emergingTopics.topics.slice(0, 10), report.emergingTopics.windowHours);
+    }
+
+    this.displayRecommendations(report.recommendations);
+  }
+
+  static displayHeader(title) {
+    console.log('\n' + '='.repeat(80));
+    console.log(chalk.bold.cyan(title));
+    console.log('='.repeat(80) + '\n');
+  }
+
+  static formatPercent(value) {
+    return `${value.toFixed(1)}%`;
+  }
+
+  static displayTrendingKeywords(keywords) {
+    this.displayHeader('🔥 TRENDING KEYWORDS');
+
+    const table = new Table({
+      head: [
+        chalk.bold('Rank'),
+        chalk.bold('Keyword'),
+        chalk.bold('Frequency'),
+        chalk.bold('Weight'),
+        chalk.bold('Trend Indicator')
+      ],
+      colWidths: [8, 30, 12, 10, 30]
+    });
+
+    keywords.forEach((item, index) => {
+      const bars = '█'.repeat(Math.min(item.count, 20));
+      table.push([
+        chalk.yellow(`#${index + 1}`),
+        chalk.green(item.keyword),
+        chalk.white(item.count),
+        chalk.white(item.weight.toFixed(1)),
+        chalk.cyan(bars)
+      ]);
+    });
+
+    console.log(table.toString());
+  }
+
+  static displayThemes(themes) {
+    this.displayHeader('🧩 THEMES');
+
+    const table = new Table({
+      head: [
+        chalk.bold('Theme'),
+        chalk.bold('Posts'),
+        chalk.bold('Avg Score'),
+        chalk.bold('Avg Comments'),
+        chalk.bold('Sentiment'),
+        chalk.bold('Keywords')
+      ],
+      colWidths: [28, 13, 11, 14, 11, 31],
+      wordWrap: true
+    });
+
+    themes.topics.forEach(theme => {
+      const color = theme.sentiment.includes('Positive')
+        ? chalk.green
+        : theme.sentiment.includes('Negative') ? chalk.red : chalk.white;
+      table.push([
+        chalk.green(theme.label),
+        `${theme.postCount} (${this.formatPercent(theme.share * 100)})`,
+        theme.avgScore.toFixed(0),
+        theme.avgComments.toFixed(0),
+        color(theme.sentimentScore.toFixed(2)),
+        theme.terms.map(term => term.keyword).join(', ')
+      ]);
+    });
+
+    console.log(table.toString());
+    if (themes.unthemedPosts > 0) {
+      console.log(chalk.gray(`\nPosts outside every theme: ${themes.unthemedPosts}`));
+    }
+    console.log();
+  }
+
+  static displayTrendingPosts(posts) {
+    this.displayHeader('📈 TOP TRENDING POSTS');
+
+    posts.slice(0, 10).forEach((post, index) => {
+      console.log(chalk.bold.yellow(`\n${index + 1}. ${post.title}`));
+      console.log(chalk.gray(`   r/${post.subreddit} • Score: ${post.score} • Comments: ${post.num_comments}`));
+      console.log(chalk.gray(`   Sentiment: ${post.sentiment || 'N/A'}`));
+      console.log(chalk.gray(`   Trending score ${post.trendingScore.toFixed(2)}: ${post.scoreExplanation}`));
+      console.log(chalk.blue(`   ${post.permalink}`));
+    });
+    console.log();
+  }
+
+  static displaySentimentStats(stats, distribution) {
+    this.displayHeader('😊 SENTIMENT ANALYSIS');
+
+    const table = new Table({
+      head: [chalk.bold('Category'), chalk.bold('Count'), chalk.bold('Percentage')],
+      colWidths: [20, 12, 15]
+    });
+
+    table.push(
+      [chalk.green('Very Positive'), stats.veryPositive, this.formatPercent(distribution.veryPositive)],
+      [chalk.greenBright('Positive'), stats.positive, this.formatPercent(distribution.positive)],
+      [chalk.white('Neutral'), stats.neutral, this.formatPercent(distribution.neutral)],
+      [chalk.red('Negative'), stats.negative, this.formatPercent(distribution.negative)],
+      [chalk.redBright('Very Negative'), stats.veryNegative, this.formatPercent(distribution.veryNegative)]
+    );
+
+    console.log(table.toString());
+    console.log(chalk.bold(`\nAverage Sentiment Score: ${stats.averageScore.toFixed(2)}`));
+    console.log();
+  }
+
+  static displayTopicSentiment(topicSentiment) {
+    this.displayHeader('🎯 SENTIMENT BY TOPIC');
+
+    const table = new Table({
+      head: [chalk.bold('Topic'), chalk.bold('Mentions'), chalk.bold('Avg Score'), chalk.bold('Positive'), chalk.bold('Negative')],
+      colWidths: [28, 12, 12, 12, 12]
+    });
+    topicSentiment.topics.slice(0, 12).forEach(item => {
+      const color = item.polarity === 'positive' ? chalk.green : item.polarity === 'negative' ? chalk.red : chalk.white;
+      table.push([
+        color(item.keyword),
+        item.mentions,
+        item.averageScore.toFixed(2),
+        this.formatPercent(item.positiveShare * 100),
+        this.formatPercent(item.negativeShare * 100)
+      ]);
+    });
+    console.log(table.toString());
+
+    console.log(chalk.bold(`\nFrequency × sentiment (high = ${topicSentiment.medianMentions}+ mentions):`));
+    const matrix = new Table({
+      head: ['', chalk.bold.green('Positive'), chalk.bold('Neutral'), chalk.bold.red('Negative')],
+      colWidths: [16, 24, 24, 24],
+      wordWrap: true
+    });
+    [['High frequency', 'high'], ['Low frequency', 'low']].forEach(([label, row]) => {
+      matrix.push([
+        chalk.white(label),
+        ...['positive', 'neutral', 'negative'].map(column => topicSentiment.matrix[row][column].slice(0, 6).join(', '))
+      ]);
+    });
+    console.log(matrix.toString());
+
+    const withExamples = topicSentiment.topics
+      .filter(item => item.examples.positive.length > 0 || item.examples.negative.length > 0)
+      .slice(0, 3);
+    if (withExamples.length > 0) {
+      console.log(chalk.bold('\nWhat people say:'));
+      withExamples.forEach(item => {
+        console.log(chalk.bold.yellow(`  ${item.keyword}`));
+        if (item.examples.positive[0]) console.log(chalk.green(`    + "${item.examples.positive[0].text}"`));
+        if (item.examples.negative[0]) console.log(chalk.red(`    - "${item.examples.negative[0].text}"`));
+      });
+    }
+    console.log();
+  }
+
+  static displaySubredditTrends(subreddits) {
+    this.displayHeader('📊 TRENDS BY SUBREDDIT');
+
+    subreddits.forEach(data => {
+      console.log(chalk.bold.cyan(`\nr/${data.subreddit}`));
+      console.log(chalk.gray(`Posts analyzed: ${data.postCount} | Avg Score: ${data.avgScore.toFixed(0)}`));
+      console.log(chalk.white('Top keywords: ') +
+        data.topKeywords.slice(0, 5).map(k => chalk.green(k.keyword)).join(', '));
+    });
+    console.log();
+  }
+
+  static displayOverlap(overlap) {
+    this.displayHeader('🔀 SUBREDDIT OVERLAP');
+
+    const table = new Table({
+      head: [
+        chalk.bold('Subreddit'),
+        chalk.bold('Posts'),
+        chalk.bold('Authors'),
+        chalk.bold('Sentiment'),
+        chalk.bold('Only here')
+      ],
+      colWidths: [22, 8, 10, 18, 50],
+      wordWrap: true
+    });
+    overlap.subreddits.forEach(item => {
+      const sentiment = item.sentiment || '';
+      const color = sentiment.includes('Positive') ? chalk.green : sentiment.includes('Negative') ? chalk.red : chalk.white;
+      table.push([
+        chalk.cyan(`r/${item.subreddit}`),
+        item.postCount,
+        item.authorCount,
+        item.sentimentScore === null ? 'N/A' : color(`${item.sentimentScore.toFixed(2)} ${sentiment}`),
+        item.uniqueTopics.slice(0, 6).map(topic => topic.keyword).join(', ')
+      ]);
+    });
+    console.log(table.toString());
+
+    // Similarity matrix: topic overlap and author overlap for every pair
+    const names = overlap.subreddits.map(item => item.subreddit);
+    const pairOf = (a, b) => overlap.pairs.find(pair => pair.subreddits.includes(a) && pair.subreddits.includes(b));
+    console.log(chalk.bold('\nSimilarity (Jaccard) of topics and of authors:'));
+    const matrix = new Table({
+      head: ['', ...names.map(name => chalk.bold(`r/${name}`))],
+      colWidths: [18, ...names.map(() => 16)]
+    });
+    names.forEach(row => {
+      matrix.push([
+        chalk.cyan(`r/${row}`),
+        ...names.map(column => {
+          if (row === column) return chalk.gray('—');
+          const pair = pairOf(row, column);
+          return `topics ${this.formatPercent(pair.keywordSimilarity * 100)}\n` +
+            chalk.gray(`authors ${this.formatPercent(pair.authorSimilarity * 100)}`);
+        })
+      ]);
+    });
+    console.log(matrix.toString());
+
+    if (overlap.sharedTopics.length > 0) {
+      console.log(chalk.bold('\nCrossing over:'));
+      overlap.sharedTopics.forEach(topic => {
+        const where = Object.entries(topic.posts).map(([subreddit, count]) => `r/${subreddit} ${count}`).join(', ');
+        console.log(`  ${chalk.green(topic.keyword)} ${chalk.gray(`(${where})`)}`);
+      });
+    }
+    console.log();
+  }
+
+  static displaySignals(signals) {
+    this.displayHeader('🔗 MENTIONS AND LINKS');
+
+    [
+      ['Subreddits mentioned', signals.subreddits, name => `r/${name}`],
+      ['Users mentioned', signals.users, name => `u/${name}`],
+      ['Linked sites', signals.domains, name => name]
+    ].forEach(([title, items, format]) => {
+      if (items.length === 0) return;
+      console.log(chalk.bold(`${title}: `) +
+        items.map(item => `${chalk.green(format(item.name))} (${item.count})`).join(', '));
+    });
+    console.log();
+  }
+
+  static displayCommentInsights(report) {
+    this.displayHeader('🗨️  COMMENT ANALYSIS');
+
+    const posts = report.sentiment.posts;
+    const comments = report.sentiment.comments;
+    const table = new Table({
+      head: [chalk.bold('Category'), chalk.bold('Posts'), chalk.bold('Comments')],
+      colWidths: [20, 15, 15]
+    });
+
+    [
+      [chalk.green('Very Positive'), 'veryPositive'],
+      [chalk.greenBright('Positive'), 'positive'],
+      [chalk.white('Neutral'), 'neutral'],
+      [chalk.red('Negative'), 'negative'],
+      [chalk.redBright('Very Negative'), 'veryNegative']
+    ].forEach(([label, key]) => {
+      table.push([
+        label,
+        this.formatPercent(posts.distribution[key]),
+        this.formatPercent(comments.distribution[key])
+      ]);
+    });
+    table.push([
+      chalk.bold('Average Score'),
+      posts.stats.averageScore.toFixed(2),
+      comments.stats.averageScore.toFixed(2)
+    ]);
+    console.log(table.toString());
+
+    const { onlyKeywords, divergence, topComments } = report.comments;
+
+    if (onlyKeywords.length > 0) {
+      console.log(chalk.bold('\nWhat people are actually talking about (in comments, not titles):'));
+      console.log('  ' + onlyKeywords.slice(0, 10)
+        .map(k => chalk.green(k.keyword) + chalk.gray(` (${k.count})`)).join(', '));
+    }
+
+    if (divergence.length > 0) {
+      console.log(chalk.bold('\nBiggest gaps between title and comment sentiment:'));
+      divergence.slice(0, 5).forEach(item => {
+        const direction = item.divergence > 0 ? chalk.green('▲ warmer') : chalk.red('▼ colder');
+        console.log(chalk.yellow(`  • ${item.title}`));
+        console.log(chalk.gray(`    Title: ${item.titleSentiment} (${item.titleScore.toFixed(2)}) → ` +
+          `Comments: ${item.commentSentiment} (${item.commentScore.toFixed(2)}, n=${item.commentCount}) `) + direction);
+      });
+    }
+
+    if (topComments.length > 0) {
+      console.log(chalk.bold('\nTop comments on trending posts:'));
+      topComments.slice(0, 5).forEach(entry => {
+        console.log(chalk.bold.yellow(`\n  ${entry.postTitle}`));
+        entry.comments.forEach(comment => {
+          const body = comment.body.replace(/\s+/g, ' ');
+          console.log(chalk.white(`    ↑${comment.score} `) +
+            chalk.gray(`${body.slice(0, 100)}${body.length > 100 ? '…' : ''}`));
+        });
+      });
+    }
+    console.log();
+  }
+
+  static displayCommentThreads(threads, depthStats, replyKeywords) {
+    this.displayHeader('💬 DISCUSSION THREADS');
+
+    const table = new Table({
+      head: [chalk.bold('Level'), chalk.bold('Avg Score'), chalk.bold('Very Pos/Pos'), chalk.bold('Neg/Very Neg')],
+      colWidths: [20, 12, 15, 15]
+    });
+    [['Top-level', depthStats.topLevel], ['Nested replies', depthStats.replies]].forEach(([label, stats]) => {
+      table.push([
+        chalk.white(label),
+        stats.averageScore.toFixed(2),
+        chalk.green(stats.veryPositive + stats.positive),
+        chalk.red(stats.negative + stats.veryNegative)
+      ]);
+    });
+    console.log(table.toString());
+
+    if (replyKeywords.length > 0) {
+      console.log(chalk.white('\nWhat replies argue about: ') +
+        replyKeywords.slice(0, 8).map(k => chalk.green(k.keyword)).join(', '));
+    }
+
+    console.log(chalk.bold('\nMost back-and-forth threads:'));
+    threads.forEach((thread, index) => {
+      const snippet = thread.rootBody.replace(/\s+/g, ' ').slice(0, 70);
+      console.log(chalk.bold.yellow(`\n${index + 1}. "${snippet}${thread.rootBody.length > 70 ? '…' : ''}"`));
+      console.log(chalk.gray(`   r/${thread.subreddit} • ${thread.postTitle}`));
+      console.log(chalk.gray(`   Replies: ${thread.replies} • Depth: ${thread.maxDepth} • ` +
+        `Participants: ${thread.participants} • Exchanges: ${thread.exchanges}`));
+      console.log(chalk.blue(`   ${thread.permalink}`));
+    });
+    console.log();
+  }
+
+  static displayTiming(timing) {
+    this.displayHeader(`⏰ WHEN AND HOW TO POST (${timing.timezone})`);
+
+    // Median engagement by hour and weekday as bar strips, relative to the busiest bucket
+    const strip = rows => {
+      const max = Math.max(...rows.map(row => row.medianEngagement), 1);
+      return rows.map(row => '▁▂▃▄▅▆▇█'[Math.min(7, Math.floor((row.medianEngagement / max) * 8))]).join('');
+    };
+    const { hour, weekday } = timing.overall.dimensions;
+    const byHour = Array.from({ length: 24 }, (_, index) =>
+      hour.find(row => parseInt(row.bucket, 10) === index) || { medianEngagement: 0 });
+    console.log(chalk.bold('Median engagement by hour: ') + chalk.cyan(strip(byHour)) + chalk.gray('  00 → 23'));
+    const dayBars = strip(weekday);
+    console.log(chalk.bold('By weekday: ') +
+      weekday.map((row, index) => `${row.bucket} ${chalk.cyan(dayBars[index])}`).join('  '));
+    console.log();
+
+    const describe = (profile, dimension) => {
+      const bucket = profile.best[dimension];
+      if (!bucket) return chalk.gray('–');
+      const row = profile.dimensions[dimension].find(item => item.bucket === bucket);
+      return `${bucket} ${chalk.gray(`(${row.lift === null ? '–' : `${row.lift.toFixed(1)}×`})`)}`;
+    };
+    const table = new Table({
+      head: ['Subreddit', 'Hour', 'Day', 'Title length', 'Title', 'Format', 'Domain'].map(title => chalk.bold(title)),
+      colWidths: [18, 15, 13, 18, 17, 13, 20],
+      wordWrap: true
+    });
+    [['All subreddits', timing.overall], ...timing.subreddits.map(item => [`r/${item.subreddit}`, item])]
+      .forEach(([label, profile]) => {
+        table.push([
+          chalk.cyan(label),
+          ...['hour', 'weekday', 'titleLength', 'titleType', 'format', 'domain'].map(dimension => describe(profile, dimension))
+        ]);
+      });
+    console.log(table.toString());
+    console.log(chalk.gray('Best bucket by median score + 2 × comments, with its lift over the median post. ' +
+      `Buckets need ${timing.minPosts}+ posts.`));
+    console.log();
+  }
+
+  static displayTitlePatterns(titlePatterns) {
+    this.displayHeader('🪝 TITLE PATTERNS THAT OUTPERFORM');
+
+    const winners = titlePatterns.patterns.filter(item => item.outperforms).slice(0, 10);
+    if (winners.length === 0) {
+      console.log(chalk.gray('No title pattern beats the median post of its subreddit.'));
+    } else {
+      const table = new Table({
+        head: ['Pattern', 'Posts', 'vs. Median', 'Beat Median', 'Best Example'].map(title => chalk.bold(title)),
+        colWidths: [28, 8, 12, 13, 48],
+        wordWrap: true
+      });
+      winners.forEach(item => {
+        const [example] = item.examples;
+        table.push([
+          chalk.cyan(item.pattern),
+          item.posts,
+          chalk.green(`${item.relativeEngagement.toFixed(2)}×`),
+          `${(item.beatMedian * 100).toFixed(0)}%`,
+          `${example.title} ${chalk.gray(`(r/${example.subreddit})`)}`
+        ]);
+      });
+      console.log(table.toString());
+    }
+
+    const losers = titlePatterns.patterns.filter(item => item.relativeEngagement < 1).slice(-3).reverse();
+    if (losers.length > 0) {
+      console.log(chalk.bold('Weakest: ') + losers
+        .map(item => `${item.pattern} ${chalk.red(`${item.relativeEngagement.toFixed(2)}×`)}`)
+        .join(chalk.gray(' • ')));
+    }
+    console.log(chalk.gray(`Median engagement of posts using each pattern, as a multiple of their subreddit's median post ` +
+      `(${titlePatterns.postsCompared} posts compared; patterns need ${titlePatterns.minPosts}+ posts).`));
+    console.log();
+  }
+
+  static displayEmergingTopics(topics, hours = 24) {
+    this.displayHeader(`🚀 EMERGING TOPICS (Last ${hours} Hours)`);
+
+    const table = new Table({
+      head: [
+        chalk.bold('Topic'),
+        chalk.bold('Posts'),
+        chalk.bold('Recent Rate'),
+        chalk.bold('Baseline Rate'),
+        chalk.bold('Lift'),
+        chalk.bold('z-score')
+      ],
+      colWidths: [30, 8, 14, 15, 9, 10]
+    });
+
+    topics.forEach(item => {
+      table.push([
+        chalk.yellow(item.keyword),
+        chalk.white(item.count),
+        chalk.white(this.formatPercent(item.recentRate * 100)),
+        chalk.gray(this.formatPercent(item.baselineRate * 100)),
+        chalk.green(`${item.lift.toFixed(1)}×`),
+        chalk.cyan(item.zScore.toFixed(2))
+      ]);
+    });
+
+    console.log(table.toString());
+    console.log(chalk.gray('Rates are the share of posts mentioning the topic; z-score ≥ 1.96 is significant at 95%.'));
+  }
+
+  static displaySummary(summary) {
+    this.displayHeader('📋 ANALYSIS SUMMARY');
+
+    console.log(chalk.bold('Data Collection:'));
+    console.log(`  • Posts analyzed: ${chalk.cyan(summary.postsCount)}`);
+    console.log(`  • Comments analyzed: ${chalk.cyan(summary.commentsCount)}`);
+    console.log(`  • Subreddits: ${chalk.cyan(summary.subreddits.join(', '))}`);
+    console.log(`  • Analysis completed at: ${chalk.cyan(new Date().toLocaleString())}`);
+    console.log();
+  }
+
+  static displayComparison(comparison) {
+    const { before, after } = comparison;
+    this.displayHeader('⚖️  SNAPSHOT COMPARISON');
+
+    const table = new Table({
+      head: [chalk.bold(''), chalk.bold('Before'), chalk.bold('After')],
+      colWidths: [22, 28, 28]
+    });
+    table.push(
+      [chalk.white('File'), before.file, after.file],
+      [chalk.white('Captured at'), before.capturedAt, after.capturedAt],
+      [chalk.white('Posts'), before.postsCount, after.postsCount],
+      [chalk.white('Avg sentiment'), before.sentiment.averageScore.toFixed(2), after.sentiment.averageScore.toFixed(2)]
+    );
+    console.log(table.toString());
+
+    const changeTable = (title, items, color) => {
+      if (items.length === 0) return;
+      console.log(chalk.bold(`\n${title}`));
+      const rows = new Table({
+        head: [chalk.bold('Keyword'), chalk.bold('Before'), chalk.bold('After'), chalk.bold('Change')],
+        colWidths: [30, 10, 10, 12]
+      });
+      items.slice(0, 10).forEach(item => {
+        rows.push([
+          chalk.green(item.keyword),
+          ((item.previousRate || 0) * before.postsCount).toFixed(0),
+          item.count,
+          color(`${item.velocity > 0 ? '+' : ''}${Math.round(item.velocity)}%`)
+        ]);
+      });
+      console.log(rows.toString());
+    };
+
+    changeTable('📈 Rising keywords (per-post rate):', comparison.rising, chalk.green);
+    changeTable('📉 Falling keywords (per-post rate):', comparison.falling, chalk.red);
+
+    if (comparison.appeared.length > 0) {
+      console.log(chalk.bold('\n🆕 New keywords: ') +
+        comparison.appeared.slice(0, 15).map(k => chalk.green(k.keyword)).join(', '));
+    }
+    if (comparison.disappeared.length > 0) {
+      console.log(chalk.bold('👋 Dropped keywords: ') +
+        comparison.disappeared.slice(0, 15).map(k => chalk.gray(k.keyword)).join(', '));
+    }
+    console.log();
+  }
+
+  static displayCycleDiff(diff, alerts) {
+    this.displayHeader('🔀 CHANGES SINCE LAST CYCLE');
+
+    const list = (items, color) => items.slice(0, 10).map(color).join(', ') || chalk.gray('none');
+    console.log(chalk.white('New keywords:     ') + list(diff.appeared, chalk.green));
+    console.log(chalk.white('Dropped keywords: ') + list(diff.disappeared, chalk.gray));
+    console.log(chalk.white('Rising:           ') +
+      list(diff.rising.map(item => `${item.keyword} (+${item.change})`), chalk.green));
+    console.log(chalk.white('Falling:          ') +
+      list(diff.falling.map(item => `${item.keyword} (${item.change})`), chalk.red));
+    console.log(chalk.bold(`\n${alerts.length} alert${alerts.length === 1 ? '' : 's'} this cycle`));
+    console.log();
+  }
+
+  static displayRecommendations(recommendations) {
+    this.displayHeader('💡 CONTENT CREATOR RECOMMENDATIONS');
+
+    console.log(chalk.bold.green('Content Ideas:'));
+    if (recommendations.ideas.length === 0) {
+      console.log(chalk.gray('  Not enough topic data to rank ideas.'));
+    }
+    recommendations.ideas.forEach(idea => {
+      console.log(chalk.yellow(`  ${idea.rank}. ${idea.keyword}`) +
+        chalk.gray(` (opportunity ${idea.score}/100, r/${idea.targetSubreddit})`));
+      console.log(chalk.magenta(`     ${idea.angleLabel}`));
+      idea.rationale.slice(0, 3).forEach(reason => console.log(chalk.white(`     • ${reason}`)));
+      if (idea.examples[0]) {
+        console.log(chalk.gray(`     e.g. "${idea.examples[0].title.trim()}" `) + chalk.blue(idea.examples[0].permalink));
+      }
+    });
+
+    if (recommendations.risers.length > 0) {
+      console.log(chalk.bold.green('\nFastest Rising Since Last Run:'));
+      recommendations.risers.forEach((item, index) => {
+        const accelerating = item.acceleration > 0 ? chalk.magenta(' ⚡ accelerating') : '';
+        console.log(chalk.yellow(`  ${index + 1}. ${item.keyword}`) +
+          chalk.gray(` (${item.changeLabel})`) + accelerating);
+      });
+    }
+
+    if (recommendations.emerging.length > 0) {
+      console.log(chalk.bold.green('\nEmerging Topics to Watch:'));
+      recommendations.emerging.forEach((item, index) => {
+        console.log(chalk.yellow(`  ${index + 1}. ${item.keyword}`) +
+          chalk.gray(` (${item.lift.toFixed(1)}× baseline rate)`));
+      });
+    }
+
+    console.log(chalk.bold.green('\nContent Strategy Insights:'));
+    recommendations.insights.forEach(insight => {
+      console.log(chalk.white(`  • ${insight}`));
+    });
+    console.log();
+  }
+}
+
+export default ResultsDisplay;
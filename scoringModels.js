@@ -0,0 +1,209 @@
+/**
+ * Trending score formulas. Each has tunable parameters, a `score(post, context,
+ * params)` returning its raw value and `describe(raw)` for the per-post breakdown.
+ *
+ * The context holds `now` (Unix seconds the data was captured), `previous`
+ * (post id → last {score, num_comments, capturedAt} seen in history) and
+ * `subredditStats` (per-subreddit mean and standard deviation of log score and
+ * log comments).
+ */
+
+// Reddit's epoch for the hot ranking (December 8, 2005)
+const REDDIT_HOT_EPOCH = 1134028003;
+
+const ageInHours = (post, now) => (now - post.created_utc) / 3600;
+
+const engagementOf = (post, commentWeight) => post.score + post.num_comments * commentWeight;
+
+export const SCORING_FORMULAS = {
+  engagement: {
+    description: 'Upvotes plus weighted comments, decayed by age^decay',
+    params: { commentWeight: 2, decay: 1.5 },
+    score(post, { now }, { commentWeight, decay }) {
+      return engagementOf(post, commentWeight) / Math.pow(Math.max(1, ageInHours(post, now)), decay);
+    },
+    describe: raw => `engagement ${raw.toFixed(1)}`
+  },
+
+  gravity: {
+    description: 'Hacker News style: (points - 1) / (age + 2)^gravity',
+    params: { commentWeight: 1, gravity: 1.8 },
+    score(post, { now }, { commentWeight, gravity }) {
+      const points = Math.max(engagementOf(post, commentWeight) - 1, 0);
+      return points / Math.pow(Math.max(ageInHours(post, now), 0) + 2, gravity);
+    },
+    describe: raw => `gravity ${raw.toFixed(2)}`
+  },
+
+  hot: {
+    description: 'Reddit hot: log10 of the score plus posting time, 12.5 hours per factor of 10',
+    params: {},
+    score(post) {
+      const order = Math.log10(Math.max(Math.abs(post.score), 1));
+      return Math.sign(post.score) * order + (post.created_utc - REDDIT_HOT_EPOCH) / 45000;
+    },
+    describe: raw => `hot ${raw.toFixed(2)}`
+  },
+
+  velocity: {
+    description: 'Engagement gained per hour since the previous run (since posting without history)',
+    params: { commentWeight: 2 },
+    score(post, { now, previous }, { commentWeight }) {
+      const before = previous.get(post.id);
+      if (before && before.capturedAt < now) {
+        const gained = engagementOf(post, commentWeight) - engagementOf(before, commentWeight);
+        return gained / ((now - before.capturedAt) / 3600);
+      }
+      return engagementOf(post, commentWeight) / Math.max(1, ageInHours(post, now));
+    },
+    describe: raw => `${raw.toFixed(1)} engagement/hour`
+  },
+
+  subredditZ: {
+    description: 'Standard deviations above its subreddit\'s average (log) score and comments',
+    params: { commentWeight: 1 },
+    score(post, { subredditStats }, { commentWeight }) {
+      const stats = subredditStats.get(post.subreddit);
+      if (!stats) return 0;
+      const z = (value, { mean, sd }) => (sd > 0 ? (Math.log1p(Math.max(value, 0)) - mean) / sd : 0);
+      return (z(post.score, stats.score) + commentWeight * z(post.num_comments, stats.comments)) /
+        (1 + commentWeight);
+    },
+    describe: raw => `${raw >= 0 ? '+' : ''}${raw.toFixed(2)}σ vs. subreddit`
+  },
+
+  approval: {
+    description: 'Share of votes that are upvotes (upvote_ratio)',
+    params: {},
+    score(post) {
+      return post.upvote_ratio ?? 0.5;
+    },
+    describe: raw => `${Math.round(raw * 100)}% upvoted`
+  }
+};
+
+/**
+ * Default settings: the engagement formula alone, as in earlier versions.
+ * A scoring config file overrides weights and any formula's parameters.
+ */
+export const DEFAULT_SCORING_SETTINGS = {
+  weights: Object.fromEntries(Object.keys(SCORING_FORMULAS).map(name => [name, name === 'engagement' ? 1 : 0])),
+  ...Object.fromEntries(Object.entries(SCORING_FORMULAS).map(([name, formula]) => [name, formula.params]))
+};
+
+/**
+ * Mean and standard deviation
+ * @param {Array<number>} values - Sample
+ * @returns {Object} {mean, sd}
+ */
+function meanAndDeviation(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return { mean, sd: Math.sqrt(variance) };
+}
+
+/**
+ * ScoringModel - Weighted blend of trending score formulas with a per-post breakdown.
+ * With one weighted formula the trending score is that formula's value times its
+ * weight. With several, each formula is standardized across the scored posts
+ * (z-score) so weights compare like with like, and the weighted z-scores are summed.
+ */
+class ScoringModel {
+  /**
+   * @param {Object} settings - Partial settings merged over DEFAULT_SCORING_SETTINGS
+   */
+  constructor(settings = {}) {
+    this.settings = Object.fromEntries(
+      Object.entries(DEFAULT_SCORING_SETTINGS).map(([section, defaults]) => [
+        section,
+        { ...defaults, ...settings[section] }
+      ])
+    );
+    this.active = Object.entries(this.settings.weights)
+      .filter(([_, weight]) => weight !== 0)
+      .map(([name, weight]) => ({ name, weight }));
+  }
+
+  /**
+   * @returns {boolean} True when formulas are standardized before blending
+   */
+  get standardized() {
+    return this.active.length > 1;
+  }
+
+  /**
+   * Build the shared context for one batch of posts
+   * @param {Array} posts - Posts being scored
+   * @param {Object} options - Scoring options
+   * @param {string} options.capturedAt - ISO time the posts were captured (default: now)
+   * @param {Array} options.previousRuns - Previous run records from HistoryStore, oldest first
+   * @returns {Object} {now, previous, subredditStats}
+   */
+  buildContext(posts, { capturedAt = null, previousRuns = [] } = {}) {
+    const now = capturedAt ? Date.parse(capturedAt) / 1000 : Date.now() / 1000;
+
+    // Latest earlier observation of each post; later runs overwrite earlier ones
+    const previous = new Map();
+    previousRuns.forEach(run => {
+      const runAt = Date.parse(run.capturedAt) / 1000;
+      if (!(runAt < now)) return;
+      (run.posts || []).forEach(post => previous.set(post.id, { ...post, capturedAt: runAt }));
+    });
+
+    const bySubreddit = new Map();
+    posts.forEach(post => {
+      if (!bySubreddit.has(post.subreddit)) bySubreddit.set(post.subreddit, []);
+      bySubreddit.get(post.subreddit).push(post);
+    });
+    const subredditStats = new Map([...bySubreddit.entries()].map(([subreddit, subPosts]) => [
+      subreddit,
+      {
+        score: meanAndDeviation(subPosts.map(post => Math.log1p(Math.max(post.score, 0)))),
+        comments: meanAndDeviation(subPosts.map(post => Math.log1p(Math.max(post.num_comments, 0))))
+      }
+    ]));
+
+    return { now, previous, subredditStats };
+  }
+
+  /**
+   * Score posts and explain each score
+   * @param {Array} posts - Posts to score
+   * @param {Object} options - See buildContext
+   * @returns {Array} Posts with trendingScore and scoreBreakdown
+   *   [{formula, raw, detail, weight, contribution}], largest contribution first
+   */
+  scorePosts(posts, options = {}) {
+    if (posts.length === 0) return [];
+    const context = this.buildContext(posts, options);
+
+    const raws = this.active.map(({ name }) => {
+      const formula = SCORING_FORMULAS[name];
+      return posts.map(post => formula.score(post, context, this.settings[name]));
+    });
+    const spreads = raws.map(values => meanAndDeviation(values));
+
+    return posts.map((post, index) => {
+      const scoreBreakdown = this.active.map(({ name, weight }, formulaIndex) => {
+        const raw = raws[formulaIndex][index];
+        const { mean, sd } = spreads[formulaIndex];
+        const value = this.standardized ? (sd > 0 ? (raw - mean) / sd : 0) : raw;
+        return {
+          formula: name,
+          raw,
+          detail: SCORING_FORMULAS[name].describe(raw),
+          weight,
+          contribution: weight * value
+        };
+      }).sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+
+      return {
+        ...post,
+        trendingScore: scoreBreakdown.reduce((sum, part) => sum + part.contribution, 0),
+        scoreBreakdown
+      };
+    });
+  }
+}
+
+export default ScoringModel;
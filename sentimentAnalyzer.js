@@ -1,41 +1,192 @@
 import Sentiment from 'sentiment';
+import { createRequire } from 'module';
+import TextPreprocessor from './textPreprocessor.js';
+
+const require = createRequire(import.meta.url);
+const AFINN_LABELS = require('sentiment/languages/en/labels.json');
+
+/**
+ * Reddit, gaming and tech slang missing from AFINN. Keys with capitals
+ * (e.g. "W", "L") only match that exact spelling as a standalone word.
+ */
+export const SLANG_LEXICON = {
+  based: 2,
+  goated: 3,
+  banger: 3,
+  slaps: 2,
+  underrated: 2,
+  cracked: 2,
+  W: 3,
+  mid: -2,
+  L: -3,
+  trash: -3,
+  cringe: -2,
+  overrated: -2,
+  overpriced: -2,
+  scuffed: -2,
+  janky: -2,
+  buggy: -2,
+  bricked: -3,
+  bloatware: -2,
+  enshittification: -3,
+  copium: -2,
+  meh: -1
+};
+
+/**
+ * Default scoring settings; a sentiment config file overrides any part of them.
+ * Scores are AFINN points per token, so thresholds do not depend on text length.
+ */
+export const DEFAULT_SENTIMENT_SETTINGS = {
+  thresholds: { veryPositive: 0.3, positive: 0.05, negative: -0.05, veryNegative: -0.3 },
+  weights: { title: 0.6, body: 0.4 },
+  lexicon: {},
+  negation: {
+    window: 3,
+    multiplier: -1,
+    words: [
+      'not', 'no', 'never', 'without', 'hardly', 'non', 'cant', "can't", 'dont', "don't",
+      'doesnt', "doesn't", 'isnt', "isn't", 'arent', "aren't", 'wasnt', "wasn't", 'didnt', "didn't",
+      'wont', "won't", 'wouldnt', "wouldn't", 'shouldnt', "shouldn't", 'aint', "ain't"
+    ]
+  },
+  sarcasm: { markers: ['/s', '/sarcasm'], multiplier: -1 }
+};
+
+// Each analyzer registers its own lexicon with the sentiment package under a unique code
+let languageCount = 0;
 
 /**
  * SentimentAnalyzer - Analyzes sentiment of text content
  */
 class SentimentAnalyzer {
-  constructor() {
+  /**
+   * @param {Object} settings - Partial settings merged over DEFAULT_SENTIMENT_SETTINGS
+   * @param {TextPreprocessor} preprocessor - Strips markup, quotes and code before scoring
+   */
+  constructor(settings = {}, preprocessor = new TextPreprocessor()) {
+    this.preprocessor = preprocessor;
+    this.settings = Object.fromEntries(
+      Object.entries(DEFAULT_SENTIMENT_SETTINGS).map(([section, defaults]) => [
+        section,
+        { ...defaults, ...settings[section] }
+      ])
+    );
     this.sentiment = new Sentiment();
+    this.negators = new Set(this.settings.negation.words);
+
+    const lexicon = { ...SLANG_LEXICON, ...this.settings.lexicon };
+    const labels = { ...AFINN_LABELS };
+    this.caseSensitiveTerms = [];
+    this.placeholderTerms = {};
+
+    Object.entries(lexicon).forEach(([term, value]) => {
+      if (term === term.toLowerCase()) {
+        labels[term] = value;
+      } else {
+        // The package lowercases everything, so swap exact-case terms for a placeholder token first
+        const placeholder = `slang${term.toLowerCase().replace(/[^a-z0-9]/g, '')}`;
+        labels[placeholder] = value;
+        this.placeholderTerms[placeholder] = term;
+        this.caseSensitiveTerms.push({
+          pattern: new RegExp(`(?<![\\w'])${this.escapeRegExp(term)}(?![\\w'])`, 'g'),
+          placeholder
+        });
+      }
+    });
+
+    this.sarcasmPatterns = this.settings.sarcasm.markers.map(marker =>
+      new RegExp(`(^|\\s)${this.escapeRegExp(marker)}(?=$|[\\s.,!?])`, 'gi')
+    );
+
+    this.languageCode = `reddit${++languageCount}`;
+    this.negatedWords = [];
+    this.labels = labels;
+    this.sentiment.registerLanguage(this.languageCode, {
+      labels,
+      scoringStrategy: {
+        apply: (tokens, cursor, tokenScore) => this.applyNegation(tokens, cursor, tokenScore)
+      }
+    });
+  }
+
+  /**
+   * Escape a string for use inside a regular expression
+   * @param {string} text - Literal text
+   * @returns {string} Escaped text
+   */
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+
+  /**
+   * Flip a word's score when a negator appears shortly before it ("not bad", "don't really like")
+   * @param {Array<string>} tokens - Tokens of the text
+   * @param {number} cursor - Index of the scored token
+   * @param {number} tokenScore - Lexicon score of the token
+   * @returns {number} Adjusted score
+   */
+  applyNegation(tokens, cursor, tokenScore) {
+    const { window, multiplier } = this.settings.negation;
+    for (let i = Math.max(0, cursor - window); i < cursor; i++) {
+      if (this.negators.has(tokens[i])) {
+        this.negatedWords.push(tokens[cursor]);
+        return tokenScore * multiplier;
+      }
+    }
+    return tokenScore;
   }
 
   /**
    * Analyze sentiment of a single text
    * @param {string} text - Text to analyze
-   * @returns {Object} Sentiment analysis result
+   * @returns {Object} Sentiment analysis result; score is normalized by text length
    */
   analyze(text) {
-    const result = this.sentiment.analyze(text);
-    
+    // Quoted text and code are someone else's words; links and markup carry no sentiment
+    let prepared = this.preprocessor.clean(text).replace(/[\u2018\u2019]/g, "'");
+
+    let sarcastic = false;
+    this.sarcasmPatterns.forEach(pattern => {
+      prepared = prepared.replace(pattern, (match, lead) => {
+        sarcastic = true;
+        return lead;
+      });
+    });
+
+    this.caseSensitiveTerms.forEach(({ pattern, placeholder }) => {
+      prepared = prepared.replace(pattern, placeholder);
+    });
+
+    this.negatedWords = [];
+    const result = this.sentiment.analyze(prepared, { language: this.languageCode });
+    const sarcasmFactor = sarcastic ? this.settings.sarcasm.multiplier : 1;
+    const score = result.comparative * sarcasmFactor;
+    const restore = words => words.map(word => this.placeholderTerms[word] || word);
+
     return {
-      score: result.score,
-      comparative: result.comparative,
-      sentiment: this.categorizeSentiment(result.score),
-      positive: result.positive,
-      negative: result.negative,
+      score,
+      rawScore: result.score * sarcasmFactor,
+      sentiment: this.categorizeSentiment(score),
+      positive: restore(result.positive),
+      negative: restore(result.negative),
+      negated: restore(this.negatedWords),
+      sarcastic,
       tokens: result.tokens.length
     };
   }
 
   /**
-   * Categorize sentiment score into human-readable labels
-   * @param {number} score - Sentiment score
+   * Categorize a normalized sentiment score into human-readable labels
+   * @param {number} score - Sentiment score (AFINN points per token)
    * @returns {string} Sentiment category
    */
   categorizeSentiment(score) {
-    if (score > 5) return 'Very Positive';
-    if (score > 2) return 'Positive';
-    if (score > -2) return 'Neutral';
-    if (score > -5) return 'Negative';
+    const { thresholds } = this.settings;
+    if (score > thresholds.veryPositive) return 'Very Positive';
+    if (score > thresholds.positive) return 'Positive';
+    if (score > thresholds.negative) return 'Neutral';
+    if (score > thresholds.veryNegative) return 'Negative';
     return 'Very Negative';
   }
 
@@ -49,9 +200,10 @@ class SentimentAnalyzer {
       const titleSentiment = this.analyze(post.title);
       const textSentiment = post.text ? this.analyze(post.text) : null;
       
-      // Combined sentiment (weighted average favoring title)
-      const combinedScore = textSentiment 
-        ? (titleSentiment.score * 0.6 + textSentiment.score * 0.4)
+      // Combined sentiment (weighted average, favoring the title by default)
+      const { title, body } = this.settings.weights;
+      const combinedScore = textSentiment && title + body > 0
+        ? (titleSentiment.score * title + textSentiment.score * body) / (title + body)
         : titleSentiment.score;
 
       return {
@@ -94,7 +246,8 @@ class SentimentAnalyzer {
         neutral: 0,
         negative: 0,
         veryNegative: 0,
-        averageScore: 0
+        averageScore: 0,
+        averageSentiment: 'Neutral'
       };
     }
 
@@ -134,14 +287,129 @@ class SentimentAnalyzer {
     });
 
     stats.averageScore = stats.totalScore / stats.total;
+    stats.averageSentiment = this.categorizeSentiment(stats.averageScore);
 
     return stats;
   }
 
+  /**
+   * Compare sentiment of top-level comments with sentiment of replies
+   * @param {Array} comments - Comments with sentiment and depth
+   * @returns {Object} {topLevel, replies} statistics from getStatistics
+   */
+  getStatisticsByDepth(comments) {
+    return {
+      topLevel: this.getStatistics(comments.filter(comment => !comment.depth)),
+      replies: this.getStatistics(comments.filter(comment => comment.depth > 0))
+    };
+  }
+
+  /**
+   * Get sentiment statistics per subreddit
+   * @param {Array} items - Posts or comments with sentiment and a subreddit field
+   * @returns {Object} subreddit -> statistics from getStatistics
+   */
+  getStatisticsBySubreddit(items) {
+    const bySubreddit = {};
+    items.forEach(item => {
+      if (!bySubreddit[item.subreddit]) {
+        bySubreddit[item.subreddit] = [];
+      }
+      bySubreddit[item.subreddit].push(item);
+    });
+
+    return Object.fromEntries(
+      Object.entries(bySubreddit).map(([subreddit, group]) => [subreddit, this.getStatistics(group)])
+    );
+  }
+
+  /**
+   * Compare each post's title sentiment with the average sentiment of its comments
+   * @param {Array} posts - Posts with sentiment from analyzePosts
+   * @param {Array} comments - Comments with sentiment from analyzeComments
+   * @param {number} minComments - Minimum comments a post needs to be compared
+   * @returns {Array} Posts sorted by absolute divergence, largest first
+   */
+  getSentimentDivergence(posts, comments, minComments = 2) {
+    const scoresByPost = {};
+    comments.forEach(comment => {
+      if (!scoresByPost[comment.post_id]) {
+        scoresByPost[comment.post_id] = [];
+      }
+      scoresByPost[comment.post_id].push(comment.sentiment?.score || 0);
+    });
+
+    return posts
+      .filter(post => (scoresByPost[post.id] || []).length >= minComments)
+      .map(post => {
+        const scores = scoresByPost[post.id];
+        const commentScore = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+        const titleScore = post.sentiment.title.score;
+
+        return {
+          id: post.id,
+          title: post.title,
+          subreddit: post.subreddit,
+          permalink: post.permalink,
+          titleScore,
+          titleSentiment: post.sentiment.title.sentiment,
+          commentScore,
+          commentSentiment: this.categorizeSentiment(commentScore),
+          commentCount: scores.length,
+          divergence: commentScore - titleScore
+        };
+      })
+      .sort((a, b) => Math.abs(b.divergence) - Math.abs(a.divergence));
+  }
+
+  /**
+   * Aggregate sentence-level sentiment per keyword (aspect-based sentiment)
+   * @param {Map<string, Array>} mentionsByKeyword - Output of TrendAnalyzer.getKeywordMentions
+   * @param {number} examples - Example snippets to keep per polarity
+   * @returns {Array} Per-keyword sentiment, most mentioned first
+   */
+  getKeywordSentiment(mentionsByKeyword, examples = 2) {
+    const snippet = mention => ({
+      text: mention.text.length > 160 ? `${mention.text.slice(0, 157)}...` : mention.text,
+      score: mention.score,
+      source: mention.source,
+      permalink: mention.permalink
+    });
+
+    return [...mentionsByKeyword.entries()]
+      // "love" or "terrible" are opinions, not topics; their sentiment is a foregone conclusion
+      .filter(([keyword, mentions]) => mentions.length > 0 && !Object.hasOwn(this.labels, keyword))
+      .map(([keyword, mentions]) => {
+        const scored = mentions.map(mention => ({ ...mention, score: this.analyze(mention.text).score }));
+        const isPositive = mention => mention.score > this.settings.thresholds.positive;
+        const isNegative = mention => mention.score <= this.settings.thresholds.negative;
+        const averageScore = scored.reduce((sum, mention) => sum + mention.score, 0) / scored.length;
+
+        // The same sentence quoted in several comments should appear once as an example
+        const unique = [...new Map(scored.map(mention => [mention.text.toLowerCase(), mention])).values()];
+
+        return {
+          keyword,
+          mentions: scored.length,
+          postMentions: scored.filter(mention => mention.source === 'post').length,
+          commentMentions: scored.filter(mention => mention.source === 'comment').length,
+          averageScore,
+          sentiment: this.categorizeSentiment(averageScore),
+          positiveShare: scored.filter(isPositive).length / scored.length,
+          negativeShare: scored.filter(isNegative).length / scored.length,
+          examples: {
+            positive: unique.filter(isPositive).sort((a, b) => b.score - a.score).slice(0, examples).map(snippet),
+            negative: unique.filter(isNegative).sort((a, b) => a.score - b.score).slice(0, examples).map(snippet)
+          }
+        };
+      })
+      .sort((a, b) => b.mentions - a.mentions);
+  }
+
   /**
    * Get sentiment distribution percentages
    * @param {Object} stats - Statistics object from getStatistics
-   * @returns {Object} Percentage distribution
+   * @returns {Object} Percentage distribution (0-100, unrounded)
    */
   getDistribution(stats) {
     if (stats.total === 0) {
@@ -155,11 +423,11 @@ class SentimentAnalyzer {
     }
 
     return {
-      veryPositive: ((stats.veryPositive / stats.total) * 100).toFixed(1),
-      positive: ((stats.positive / stats.total) * 100).toFixed(1),
-      neutral: ((stats.neutral / stats.total) * 100).toFixed(1),
-      negative: ((stats.negative / stats.total) * 100).toFixed(1),
-      veryNegative: ((stats.veryNegative / stats.total) * 100).toFixed(1)
+      veryPositive: (stats.veryPositive / stats.total) * 100,
+      positive: (stats.positive / stats.total) * 100,
+      neutral: (stats.neutral / stats.total) * 100,
+      negative: (stats.negative / stats.total) * 100,
+      veryNegative: (stats.veryNegative / stats.total) * 100
     };
   }
 }
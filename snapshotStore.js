@@ -0,0 +1,80 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { StorageError } from './errors.js';
+
+/**
+ * Current snapshot file format version. Bump when the layout changes.
+ */
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * SnapshotStore - Saves fetched Reddit data to disk and loads it back for replay
+ */
+class SnapshotStore {
+  /**
+   * Save posts, comments and fetch parameters to a snapshot file
+   * @param {string} filePath - Destination path of the snapshot file
+   * @param {Object} data - Fetched data
+   * @param {Array} data.posts - Array of post objects
+   * @param {Array} data.comments - Array of comment objects
+   * @param {Object} data.params - Parameters the data was fetched with
+   * @param {string} data.fetchStartedAt - ISO timestamp when fetching started
+   * @param {string} data.fetchCompletedAt - ISO timestamp when fetching finished
+   * @returns {Promise<Object>} The snapshot that was written
+   */
+  async save(filePath, { posts, comments, params = {}, fetchStartedAt, fetchCompletedAt }) {
+    const snapshot = {
+      version: SNAPSHOT_VERSION,
+      createdAt: new Date().toISOString(),
+      fetchStartedAt: fetchStartedAt || null,
+      fetchCompletedAt: fetchCompletedAt || null,
+      params,
+      posts,
+      comments
+    };
+
+    try {
+      await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(snapshot, null, 2), 'utf8');
+    } catch (error) {
+      throw new StorageError(`Cannot write snapshot file ${filePath}: ${error.message}`);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Load a snapshot file written by save()
+   * @param {string} filePath - Path of the snapshot file
+   * @returns {Promise<Object>} Snapshot with posts, comments and params
+   */
+  async load(filePath) {
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new StorageError(`Cannot read snapshot file ${filePath}: ${error.message}`);
+    }
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(raw);
+    } catch (error) {
+      throw new StorageError(`Snapshot file ${filePath} is not valid JSON: ${error.message}`);
+    }
+
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new StorageError(
+        `Unsupported snapshot version ${snapshot.version} in ${filePath} (expected ${SNAPSHOT_VERSION})`
+      );
+    }
+
+    if (!Array.isArray(snapshot.posts) || !Array.isArray(snapshot.comments)) {
+      throw new StorageError(`Snapshot file ${filePath} is missing posts or comments`);
+    }
+
+    return snapshot;
+  }
+}
+
+export default SnapshotStore;
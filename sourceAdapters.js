@@ -0,0 +1,555 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { ConfigError, StorageError } from './errors.js';
+import { decodeEntities } from './textPreprocessor.js';
+
+/**
+ * Source adapters turn files from outside the Reddit API into the post and
+ * comment shape RedditClient produces, so the same analysis runs over them.
+ *
+ * An adapter has a `format` name and `async load(filePath, options)` that
+ * resolves to {posts, comments, skipped}: raw records go through
+ * normalizePost/normalizeComment, and records that fail validation end up in
+ * `skipped` as {record, reason} instead of aborting the whole file.
+ */
+
+/**
+ * Input formats with a built-in adapter
+ */
+export const SOURCE_FORMATS = ['pushshift', 'csv', 'json', 'feed'];
+
+// File extensions recognized when the format is "auto"
+const EXTENSION_FORMATS = {
+  '.ndjson': 'pushshift',
+  '.jsonl': 'pushshift',
+  '.csv': 'csv',
+  '.json': 'json',
+  '.rss': 'feed',
+  '.atom': 'feed',
+  '.xml': 'feed'
+};
+
+/**
+ * RecordError - A record that does not fit the normalized schema
+ */
+class RecordError extends Error {}
+
+/**
+ * Read a string field, trimmed; empty strings count as missing
+ * @param {*} value - Raw value
+ * @returns {string|null} String or null
+ */
+function text(value) {
+  if (value === null || value === undefined) return null;
+  const result = String(value).trim();
+  return result === '' ? null : result;
+}
+
+/**
+ * Read a link field. Reddit-relative permalinks ("/r/x/comments/...") are made
+ * absolute, and anything but http(s), such as javascript: URLs, is dropped, so
+ * every report and dashboard link points somewhere safe.
+ * @param {*} value - Raw value
+ * @returns {string|null} Absolute http(s) URL or null
+ */
+function webUrl(value) {
+  const raw = text(value);
+  if (!raw) return null;
+  if (raw.startsWith('/') && !raw.startsWith('//')) return `https://reddit.com${raw}`;
+  try {
+    const { protocol } = new URL(raw);
+    return protocol === 'http:' || protocol === 'https:' ? raw : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a numeric field
+ * @param {*} value - Raw value
+ * @param {string} field - Field name, for error messages
+ * @param {number|null} fallback - Value when the field is missing
+ * @returns {number|null} Number
+ */
+function number(value, field, fallback) {
+  if (value === null || value === undefined || String(value).trim() === '') return fallback;
+  const result = Number(value);
+  if (!Number.isFinite(result)) {
+    throw new RecordError(`"${field}" is not a number ("${value}")`);
+  }
+  return result;
+}
+
+/**
+ * Read a timestamp as Unix seconds; accepts seconds, milliseconds or date strings
+ * @param {*} value - Raw value
+ * @returns {number} Unix time in seconds
+ */
+function timestamp(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    throw new RecordError('missing "created_utc"');
+  }
+  if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const seconds = Number(value);
+    // Millisecond timestamps are 13 digits for any date after 2001
+    return seconds > 1e11 ? seconds / 1000 : seconds;
+  }
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) {
+    throw new RecordError(`"created_utc" is not a date ("${value}")`);
+  }
+  return parsed / 1000;
+}
+
+/**
+ * Validate a raw record and convert it to the post shape
+ * @param {Object} raw - Raw record
+ * @param {Object} defaults - {community, source} used when the record has none
+ * @returns {Object} Post with the fields RedditClient.formatPost produces
+ */
+export function normalizePost(raw, { community = null, source = 'input' } = {}) {
+  const id = text(raw.id);
+  if (!id) throw new RecordError('missing "id"');
+
+  const title = text(raw.title) || '';
+  const body = text(raw.text ?? raw.selftext) || '';
+  if (!title && !body) throw new RecordError('post has neither "title" nor "text"');
+
+  const subreddit = text(raw.subreddit ?? raw.community) || community;
+  if (!subreddit) throw new RecordError('missing "subreddit"');
+
+  return {
+    subreddit,
+    title,
+    text: body,
+    author: text(raw.author) || '[unknown]',
+    score: number(raw.score, 'score', 0),
+    upvote_ratio: number(raw.upvote_ratio, 'upvote_ratio', null),
+    num_comments: number(raw.num_comments, 'num_comments', 0),
+    created_utc: timestamp(raw.created_utc ?? raw.created_at ?? raw.date),
+    url: webUrl(raw.url) || '',
+    permalink: webUrl(raw.permalink) || webUrl(raw.url) || '',
+    id,
+    sources: Array.isArray(raw.sources) ? raw.sources : [source]
+  };
+}
+
+/**
+ * Validate a raw record and convert it to the comment shape
+ * @param {Object} raw - Raw record
+ * @returns {Object} Comment without the post fields (post_title, subreddit)
+ */
+export function normalizeComment(raw) {
+  const id = text(raw.id);
+  if (!id) throw new RecordError('missing "id"');
+
+  const postId = text(raw.post_id);
+  if (!postId) throw new RecordError('missing "post_id"');
+
+  const body = text(raw.body);
+  if (!body || body === '[deleted]' || body === '[removed]') throw new RecordError('no comment body');
+
+  return {
+    id,
+    parent_id: text(raw.parent_id) || `t3_${postId}`,
+    depth: number(raw.depth, 'depth', 0),
+    author: text(raw.author) || '[unknown]',
+    body,
+    score: number(raw.score, 'score', 0),
+    created_utc: timestamp(raw.created_utc ?? raw.created_at ?? raw.date),
+    is_submitter: raw.is_submitter === true || raw.is_submitter === 'true',
+    permalink: webUrl(raw.permalink) || '',
+    post_id: postId
+  };
+}
+
+/**
+ * Shared bookkeeping for adapters: normalizes records and collects failures
+ */
+class RecordCollector {
+  /**
+   * @param {Object} defaults - Passed to normalizePost
+   */
+  constructor(defaults) {
+    this.defaults = defaults;
+    this.posts = [];
+    this.comments = [];
+    this.skipped = [];
+  }
+
+  addPost(raw, record) {
+    try {
+      this.posts.push(normalizePost(raw, this.defaults));
+    } catch (error) {
+      this.skip(error, record);
+    }
+  }
+
+  addComment(raw, record) {
+    try {
+      this.comments.push(normalizeComment(raw));
+    } catch (error) {
+      this.skip(error, record);
+    }
+  }
+
+  skip(error, record) {
+    if (!(error instanceof RecordError)) throw error;
+    this.skipped.push({ record, reason: error.message });
+  }
+
+  result() {
+    return { posts: this.posts, comments: this.comments, skipped: this.skipped };
+  }
+}
+
+/**
+ * Community name for files without one: the file name without its extension
+ * @param {string} filePath - Input file
+ * @returns {string} Community name
+ */
+function communityFromFile(filePath) {
+  return path.basename(filePath, path.extname(filePath));
+}
+
+/**
+ * Read a whole input file
+ * @param {string} filePath - Input file
+ * @returns {Promise<string>} File contents
+ */
+async function readInput(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new StorageError(`Cannot read input file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * PushshiftAdapter - Reddit data dumps with one submission or comment JSON object per line
+ */
+export class PushshiftAdapter {
+  get format() {
+    return 'pushshift';
+  }
+
+  /**
+   * @param {string} filePath - NDJSON dump
+   * @param {Object} options - {community}
+   * @returns {Promise<Object>} {posts, comments, skipped}
+   */
+  async load(filePath, options = {}) {
+    const collector = new RecordCollector({ community: options.community, source: this.format });
+    const lines = readline.createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+    let lineNumber = 0;
+
+    try {
+      for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+        const record = `${filePath}:${lineNumber}`;
+
+        let item;
+        try {
+          item = JSON.parse(line);
+        } catch (error) {
+          collector.skipped.push({ record, reason: 'not valid JSON' });
+          continue;
+        }
+        // API-style wrappers: {"kind": "t3", "data": {...}}
+        if (item.kind && item.data) item = item.data;
+
+        if (item.title !== undefined) {
+          collector.addPost(item, record);
+        } else if (item.body !== undefined && item.link_id) {
+          collector.addComment({ ...item, post_id: String(item.link_id).replace(/^t3_/, '') }, record);
+        } else {
+          collector.skipped.push({ record, reason: 'neither a submission nor a comment' });
+        }
+      }
+    } catch (error) {
+      throw new StorageError(`Cannot read input file ${filePath}: ${error.message}`);
+    }
+
+    // Dumps have no depth field; rebuild it from the parent chain
+    const byId = new Map(collector.comments.map(comment => [comment.id, comment]));
+    const depthOf = (comment, seen = new Set()) => {
+      const parent = comment.parent_id.startsWith('t1_') ? byId.get(comment.parent_id.slice(3)) : null;
+      if (!parent || seen.has(parent.id)) return 0;
+      seen.add(comment.id);
+      return depthOf(parent, seen) + 1;
+    };
+    collector.comments.forEach(comment => {
+      comment.depth = depthOf(comment);
+    });
+
+    return collector.result();
+  }
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, newlines inside quotes)
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+export function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines produce a single empty field
+  return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+/**
+ * TabularAdapter - Generic CSV or JSON files of posts and, optionally, comments.
+ * Records with `post_id` and `body` are comments; everything else is a post.
+ */
+export class TabularAdapter {
+  /**
+   * @param {string} format - "csv" or "json"
+   */
+  constructor(format) {
+    this.format = format;
+  }
+
+  /**
+   * Turn the file into a list of plain records
+   * @param {string} filePath - Input file
+   * @returns {Promise<Object>} {records} or {posts, comments} lists
+   */
+  async readRecords(filePath) {
+    const content = await readInput(filePath);
+
+    if (this.format === 'csv') {
+      const [header, ...rows] = parseCsv(content.replace(/^\uFEFF/, ''));
+      if (!header) return { records: [] };
+      const columns = header.map(name => name.trim());
+      return { records: rows.map(fields => Object.fromEntries(columns.map((name, i) => [name, fields[i]]))) };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new StorageError(`Input file ${filePath} is not valid JSON: ${error.message}`);
+    }
+
+    if (Array.isArray(data)) return { records: data };
+    // {posts, comments}, which includes snapshot files
+    if (data && Array.isArray(data.posts)) return { posts: data.posts, comments: data.comments || [] };
+    throw new StorageError(`Input file ${filePath} must hold an array of records or {posts, comments}`);
+  }
+
+  /**
+   * @param {string} filePath - CSV or JSON file
+   * @param {Object} options - {community}
+   * @returns {Promise<Object>} {posts, comments, skipped}
+   */
+  async load(filePath, options = {}) {
+    const collector = new RecordCollector({
+      community: options.community || communityFromFile(filePath),
+      source: this.format
+    });
+    const { records, posts, comments } = await this.readRecords(filePath);
+    // Header is line 1 in CSV files
+    const label = index => `${filePath}:${this.format === 'csv' ? `line ${index + 2}` : `#${index + 1}`}`;
+
+    if (records) {
+      records.forEach((record, index) => {
+        if (record.post_id && record.body !== undefined) collector.addComment(record, label(index));
+        else collector.addPost(record, label(index));
+      });
+    } else {
+      posts.forEach((post, index) => collector.addPost(post, `${filePath}:posts#${index + 1}`));
+      comments.forEach((comment, index) => collector.addComment(comment, `${filePath}:comments#${index + 1}`));
+    }
+
+    return collector.result();
+  }
+}
+
+/**
+ * Text content of the first matching element, with CDATA unwrapped and markup stripped
+ * @param {string} xml - XML fragment
+ * @param {Array<string>} names - Element names to try, in order
+ * @returns {string|null} Text or null
+ */
+function elementText(xml, names) {
+  for (const name of names) {
+    const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+    if (!match) continue;
+
+    const raw = match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+    // Feed content is usually escaped HTML, so decode first, then strip tags
+    const value = decodeEntities(decodeEntities(raw).replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+    if (value) return value;
+  }
+  return null;
+}
+
+/**
+ * FeedAdapter - RSS 2.0 and Atom feeds saved to local files. Each item or
+ * entry becomes a post; feeds carry no votes, so scores are 0.
+ */
+export class FeedAdapter {
+  get format() {
+    return 'feed';
+  }
+
+  /**
+   * @param {string} filePath - RSS or Atom file
+   * @param {Object} options - {community}
+   * @returns {Promise<Object>} {posts, comments, skipped}
+   */
+  async load(filePath, options = {}) {
+    const xml = await readInput(filePath);
+    const isAtom = /<feed[\s>]/i.test(xml);
+    const items = xml.match(isAtom ? /<entry[\s>][\s\S]*?<\/entry>/gi : /<item[\s>][\s\S]*?<\/item>/gi) || [];
+    if (!isAtom && !/<(rss|rdf:RDF|channel)[\s>]/i.test(xml)) {
+      throw new StorageError(`Input file ${filePath} is neither an RSS nor an Atom feed`);
+    }
+
+    // The feed's own title sits before the first item
+    const firstItem = xml.search(isAtom ? /<entry[\s>]/i : /<item[\s>]/i);
+    const head = firstItem === -1 ? xml : xml.slice(0, firstItem);
+    const collector = new RecordCollector({
+      community: options.community || elementText(head, ['title']) || communityFromFile(filePath),
+      source: this.format
+    });
+
+    items.forEach((item, index) => {
+      const atomLink = item.match(/<link\b[^>]*?href="([^"]+)"[^>]*?\/?>/i);
+      const link = isAtom ? (atomLink ? decodeEntities(atomLink[1]) : null) : elementText(item, ['link']);
+
+      collector.addPost({
+        id: elementText(item, ['guid', 'id']) || link,
+        title: elementText(item, ['title']),
+        text: elementText(item, ['content:encoded', 'content', 'description', 'summary']),
+        author: elementText(item, ['dc:creator', 'name', 'author']),
+        num_comments: elementText(item, ['slash:comments']),
+        created_utc: elementText(item, ['pubDate', 'published', 'updated', 'dc:date']),
+        url: link,
+        permalink: link
+      }, `${filePath}:item #${index + 1}`);
+    });
+
+    return collector.result();
+  }
+}
+
+/**
+ * Create the adapter for a format
+ * @param {string} format - One of SOURCE_FORMATS
+ * @returns {Object} Adapter with format and load(filePath, options)
+ */
+export function createSourceAdapter(format) {
+  switch (format) {
+    case 'pushshift':
+      return new PushshiftAdapter();
+    case 'csv':
+    case 'json':
+      return new TabularAdapter(format);
+    case 'feed':
+      return new FeedAdapter();
+    default:
+      throw new ConfigError(`Unknown input format "${format}". Use one of: auto, ${SOURCE_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Pick a format from a file's extension
+ * @param {string} filePath - Input file
+ * @returns {string} One of SOURCE_FORMATS
+ */
+export function detectSourceFormat(filePath) {
+  const format = EXTENSION_FORMATS[path.extname(filePath).toLowerCase()];
+  if (!format) {
+    throw new ConfigError(
+      `Cannot tell the format of ${filePath} from its extension. Use --input-format with one of: ${SOURCE_FORMATS.join(', ')}`
+    );
+  }
+  return format;
+}
+
+/**
+ * Load and merge several input files. Posts found in more than one file are
+ * kept once; comments whose post is not in any file are skipped.
+ * @param {Array<string>} files - Input files
+ * @param {Object} options - Load options
+ * @param {string} options.format - One of SOURCE_FORMATS, or "auto" to detect per file
+ * @param {string} options.community - Community name for records without one
+ * @returns {Promise<Object>} {posts, comments, skipped}
+ */
+export async function loadSources(files, { format = 'auto', community = null } = {}) {
+  const postsById = new Map();
+  const commentsById = new Map();
+  const skipped = [];
+
+  for (const file of files) {
+    const adapter = createSourceAdapter(format === 'auto' ? detectSourceFormat(file) : format);
+    const result = await adapter.load(file, { community });
+
+    result.posts.forEach(post => {
+      const existing = postsById.get(post.id);
+      if (existing) {
+        post.sources.forEach(source => {
+          if (!existing.sources.includes(source)) existing.sources.push(source);
+        });
+      } else {
+        postsById.set(post.id, post);
+      }
+    });
+    result.comments.forEach(comment => commentsById.set(comment.id, comment));
+    skipped.push(...result.skipped);
+  }
+
+  // Comments carry their post's title and community, like RedditClient output
+  const comments = [];
+  commentsById.forEach(comment => {
+    const post = postsById.get(comment.post_id);
+    if (!post) {
+      skipped.push({ record: `comment ${comment.id}`, reason: `post ${comment.post_id} is not in the input` });
+      return;
+    }
+    comments.push({ ...comment, post_title: post.title, subreddit: post.subreddit });
+  });
+
+  return { posts: [...postsById.values()], comments, skipped };
+}
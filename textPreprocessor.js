@@ -0,0 +1,258 @@
+/**
+ * Words excluded from keyword analysis unless a stopwords file replaces them
+ * (see stopwords.example.txt)
+ */
+export const DEFAULT_STOPWORDS = [
+  'the', 'be', 'to', 'of', 'and', 'a', 'in', 'that', 'have', 'i',
+  'it', 'for', 'not', 'on', 'with', 'he', 'as', 'you', 'do', 'at',
+  'this', 'but', 'his', 'by', 'from', 'they', 'we', 'say', 'her', 'she',
+  'or', 'an', 'will', 'my', 'one', 'all', 'would', 'there', 'their',
+  'what', 'so', 'up', 'out', 'if', 'about', 'who', 'get', 'which', 'go',
+  'me', 'when', 'make', 'can', 'like', 'time', 'no', 'just', 'him', 'know',
+  'take', 'people', 'into', 'year', 'your', 'good', 'some', 'could', 'them',
+  'see', 'other', 'than', 'then', 'now', 'look', 'only', 'come', 'its', 'over',
+  'think', 'also', 'back', 'after', 'use', 'two', 'how', 'our', 'work',
+  'first', 'well', 'way', 'even', 'new', 'want', 'because', 'any', 'these',
+  'give', 'day', 'most', 'us', 'is', 'was', 'are', 'been', 'has', 'had',
+  'were', 'said', 'did', 'having', 'may', 'should', 'am', 'im', 'dont',
+  'doesnt', 'didnt', 'isnt', 'arent', 'wasnt', 'werent', 'wont', 'wouldnt',
+  'cant', 'couldnt', 'shouldnt', 'ive', 'youve', 'theyve', 'weve', 'youre',
+  'theyre', 'hes', 'shes', 'thats', 'whats', 'heres', 'theres'
+];
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>()[\]]+/gi;
+
+// r/name and u/name, optionally with a leading slash, not inside a path
+const MENTION_PATTERN = /(^|[^\w/])\/?([ru])\/([A-Za-z0-9][A-Za-z0-9_-]{1,20})\b/gi;
+
+// [text](url) and ![alt](url), with one level of parentheses allowed in the URL
+const MARKDOWN_LINK_PATTERN = /!?\[([^\]\n]*)\]\(((?:[^()\s]|\([^()\s]*\))*)(?:\s+"[^"]*")?\)/g;
+
+/**
+ * Decode XML/HTML entities
+ * @param {string} value - Encoded text
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANTS = `${CONSONANT}[^aeiouy]*`;
+const VOWELS = `${VOWEL}[aeiou]*`;
+// Stem contains at least one vowel-consonant sequence
+const MEASURE_ABOVE_ZERO = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANTS})?${VOWEL}`);
+// Consonant-vowel-consonant ending where the last consonant is not w, x or y ("hop", "gam")
+const SHORT_SYLLABLE = new RegExp(`^${CONSONANTS}${VOWEL}[^aeiouwxy]$`);
+
+/**
+ * Remove inflectional endings with step 1 of the Porter stemmer: plurals
+ * ("games" → "game"), -ed and -ing ("gaming" → "game") and a final -y
+ * ("stories", "story" → "stori"). Derivational suffixes are kept, so "organ"
+ * and "organization" stay apart.
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stemInflections(word) {
+  if (word.length < 3) return word;
+
+  // A leading y is a consonant; mark it so the vowel patterns skip it
+  let w = word[0] === 'y' ? `Y${word.slice(1)}` : word;
+
+  // Step 1a: plurals
+  if (/(ss|i)es$/.test(w)) {
+    w = w.slice(0, -2);
+  } else if (/[^s]s$/.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  if (/eed$/.test(w)) {
+    if (MEASURE_ABOVE_ZERO.test(w.slice(0, -3))) w = w.slice(0, -1);
+  } else {
+    const match = /^(.+?)(ed|ing)$/.exec(w);
+    if (match && HAS_VOWEL.test(match[1])) {
+      w = match[1];
+      if (/(at|bl|iz)$/.test(w)) {
+        w += 'e';
+      } else if (/([^aeiouylsz])\1$/.test(w)) {
+        w = w.slice(0, -1);
+      } else if (SHORT_SYLLABLE.test(w)) {
+        w += 'e';
+      }
+    }
+  }
+
+  // Step 1c: -y after a vowel-bearing stem
+  const match = /^(.+?)y$/.exec(w);
+  if (match && HAS_VOWEL.test(match[1])) w = `${match[1]}i`;
+
+  return w[0] === 'Y' ? `y${w.slice(1)}` : w;
+}
+
+/**
+ * TextPreprocessor - Shared text normalization for the trend and sentiment analyzers.
+ * Strips Reddit markdown, quotes, code and URLs, pulls out subreddit and user
+ * mentions and link domains as separate signals, and maps inflected words to
+ * one key ("game", "games", "gaming") that is shown as its most common spelling.
+ */
+class TextPreprocessor {
+  /**
+   * @param {Object} options - Preprocessing options
+   * @param {Array<string>} options.stopWords - Words excluded from keywords
+   * @param {boolean} options.stemming - Group inflected forms of a word under one key
+   */
+  constructor({ stopWords = DEFAULT_STOPWORDS, stemming = true } = {}) {
+    this.stopWords = new Set(stopWords.map(word => word.toLowerCase()));
+    this.stemming = stemming;
+    this.stems = new Map();
+    // Spellings seen for each key, so keys can be shown as real words
+    this.surfaceForms = new Map();
+  }
+
+  /**
+   * Remove text that is not the author's own prose: code blocks, inline code
+   * and quoted lines. Entities are decoded first so "&gt;" quotes are caught.
+   * @param {string} text - Raw post or comment text
+   * @returns {string} Text without code and quotes
+   */
+  stripQuotesAndCode(text) {
+    return decodeEntities(text || '')
+      .replace(/```[\s\S]*?```/g, '\n')
+      .replace(/^(?: {4}|\t).*$/gm, '')
+      // Quoted lines, but not >!spoilers!<
+      .replace(/^[ \t]*>(?!!).*$/gm, '')
+      .replace(/`[^`\n]*`/g, ' ');
+  }
+
+  /**
+   * Reduce Reddit markdown to plain prose. Link text is kept; URLs, mentions,
+   * code, quotes and formatting characters are removed. Line breaks are kept.
+   * @param {string} text - Raw post or comment text
+   * @returns {string} Plain text
+   */
+  clean(text) {
+    return this.stripQuotesAndCode(text)
+      .replace(MARKDOWN_LINK_PATTERN, '$1')
+      .replace(URL_PATTERN, ' ')
+      .replace(MENTION_PATTERN, '$1 ')
+      .replace(/>!|!</g, ' ')
+      .replace(/^[ \t]*#{1,6}[ \t]+/gm, '')
+      .replace(/\*\*|__|~~|[*^]|\\(?=[^\s\w])/g, '');
+  }
+
+  /**
+   * Extract subreddit mentions, user mentions and linked domains
+   * @param {string} text - Raw post or comment text
+   * @returns {Object} {subreddits, users, domains}, each a list of unique lowercase names
+   */
+  extractSignals(text) {
+    const prose = this.stripQuotesAndCode(text);
+    const domains = new Set();
+    const subreddits = new Set();
+    const users = new Set();
+
+    const links = [...prose.matchAll(MARKDOWN_LINK_PATTERN)].map(match => match[2]);
+    [...links, ...(prose.match(URL_PATTERN) || [])].forEach(link => {
+      const domain = this.domainOf(link);
+      if (domain) domains.add(domain);
+    });
+
+    prose.replace(URL_PATTERN, ' ').replace(/\]\([^)]*\)/g, ']').replace(MENTION_PATTERN, (match, lead, kind, name) => {
+      (kind.toLowerCase() === 'r' ? subreddits : users).add(name.toLowerCase());
+      return match;
+    });
+
+    return { subreddits: [...subreddits], users: [...users], domains: [...domains] };
+  }
+
+  /**
+   * Host name of a link without "www."
+   * @param {string} link - Absolute URL, or one starting with "www."
+   * @returns {string|null} Domain, or null for relative links
+   */
+  domainOf(link) {
+    try {
+      const url = new URL(/^www\./i.test(link) ? `https://${link}` : link);
+      return /^https?:$/.test(url.protocol) ? url.hostname.toLowerCase().replace(/^www\./, '') : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} word - Lowercase word
+   * @returns {boolean} True when the word is a stopword
+   */
+  isStopword(word) {
+    return this.stopWords.has(word);
+  }
+
+  /**
+   * Key a word is counted under; the spelling is remembered for labels
+   * @param {string} word - Lowercase word
+   * @returns {string} Key
+   */
+  normalize(word) {
+    const key = this.stem(word);
+    if (!this.surfaceForms.has(key)) this.surfaceForms.set(key, new Map());
+    const forms = this.surfaceForms.get(key);
+    forms.set(word, (forms.get(word) || 0) + 1);
+    return key;
+  }
+
+  /**
+   * Stem a word when stemming is enabled
+   * @param {string} word - Lowercase word
+   * @returns {string} Stem, or the word itself
+   */
+  stem(word) {
+    if (!this.stemming) return word;
+    if (!this.stems.has(word)) this.stems.set(word, stemInflections(word));
+    return this.stems.get(word);
+  }
+
+  /**
+   * Key of a keyword or phrase label, e.g. "gaming consoles" → "game consol".
+   * Stopwords and numbers inside phrases are not stemmed, as in tokenizing.
+   * @param {string} label - Keyword or phrase as shown in reports
+   * @returns {string} Key
+   */
+  key(label) {
+    return label
+      .toLowerCase()
+      .split(' ')
+      .map(word => (this.isStopword(word) || /^\d+$/.test(word) ? word : this.stem(word)))
+      .join(' ');
+  }
+
+  /**
+   * Show a key as words: each part becomes its most common spelling
+   * (shortest first on ties), e.g. "stori" → "story"
+   * @param {string} key - Keyword or phrase key
+   * @returns {string} Label
+   */
+  label(key) {
+    return key
+      .split(' ')
+      .map(part => {
+        const forms = this.surfaceForms.get(part);
+        if (!forms) return part;
+        return [...forms.entries()]
+          .sort((a, b) => b[1] - a[1] || a[0].length - b[0].length || a[0].localeCompare(b[0]))[0][0];
+      })
+      .join(' ');
+  }
+}
+
+export default TextPreprocessor;
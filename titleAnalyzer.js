@@ -0,0 +1,157 @@
+import { engagementOf, median, medianEngagementBySubreddit } from './engagementMetrics.js';
+
+// Question words that open "how/why/what" questions
+const OPEN_QUESTION_WORDS = new Set(['how', 'why', 'what', 'which', 'who', 'where', 'when']);
+
+// Auxiliary verbs that open yes/no questions
+const YES_NO_WORDS = new Set([
+  'is', 'are', 'was', 'were', 'do', 'does', 'did', 'can', 'could', 'should', 'would', 'will', 'has', 'have', 'am'
+]);
+
+// "7 reasons", "10 things", "5 ways": the listicle shape
+const LISTICLE_PATTERN = /(^|\s)\d{1,3}\s+(reasons?|things?|ways?|tips?|tricks?|mistakes?|games?|movies?|films?|facts?|signs?|steps?|ideas?|lessons?)\b/i;
+
+// When several patterns match exactly the same posts, the first kind here is kept
+const KIND_PRIORITY = ['question', 'number', 'emotive', 'caps', 'punctuation', 'tag', 'opening'];
+
+// Leading and inline tags such as [OC], [Serious], (Spoilers)
+const TAG_PATTERN = /[[(]([^\])\n]{1,24})[\])]/g;
+
+/**
+ * TitleAnalyzer - Mines title patterns (opening phrases, question forms,
+ * numbers and listicles, emotive words, all-caps, tags and exclamation marks)
+ * and measures how posts using each pattern do against the median post of
+ * their own subreddit, so big and small communities compare fairly.
+ */
+class TitleAnalyzer {
+  /**
+   * @param {Object} options - Analyzer options
+   * @param {number} options.minPosts - Posts a pattern needs before it is reported
+   */
+  constructor({ minPosts = 3 } = {}) {
+    this.minPosts = minPosts;
+  }
+
+  /**
+   * Patterns one title uses
+   * @param {Object} post - Post, with sentiment from SentimentAnalyzer.analyzePosts for emotive words
+   * @returns {Array<Object>} Patterns [{kind, pattern}], each at most once, specific before general
+   */
+  patternsOf(post) {
+    const title = post.title.trim();
+    const patterns = [];
+    const add = (kind, pattern) => patterns.push({ kind, pattern });
+
+    const tags = [...title.matchAll(TAG_PATTERN)].map(match => match[1].trim().toLowerCase());
+    if (tags.length > 0) add('tag', 'any [tag]');
+    new Set(tags).forEach(tag => add('tag', `[${tag}]`));
+
+    // Openings are read after leading tags, so "[OC] I made" opens with "i made"
+    const words = title.replace(/^(\s*[[(][^\])\n]{1,24}[\])])+/, '').toLowerCase().match(/[a-z0-9']+/g) || [];
+    if (words.length >= 2) add('opening', `opens with "${words[0]} ${words[1]}"`);
+
+    if (title.includes('?')) {
+      if (OPEN_QUESTION_WORDS.has(words[0])) {
+        add('question', `${words[0]} question`);
+      } else if (YES_NO_WORDS.has(words[0])) {
+        add('question', 'yes/no question');
+      }
+      add('question', 'asks a question');
+    }
+
+    if (LISTICLE_PATTERN.test(title)) add('number', 'listicle ("7 reasons")');
+    if (/\d/.test(title)) add('number', 'contains a number');
+
+    const emotive = post.sentiment?.title;
+    if (emotive) {
+      if (emotive.positive.length > 0) add('emotive', 'positive emotive word');
+      if (emotive.negative.length > 0) add('emotive', 'negative emotive word');
+      new Set([...emotive.positive, ...emotive.negative].map(word => word.toLowerCase()))
+        .forEach(word => add('emotive', `uses "${word}"`));
+    }
+
+    // Shouting, not acronyms: four or more capital letters in a row
+    const capsWords = title.match(/\b[A-Z]{4,}\b/g) || [];
+    const letters = title.replace(/[^A-Za-z]/g, '');
+    if (letters.length >= 10 && letters === letters.toUpperCase()) {
+      add('caps', 'all-caps title');
+    } else if (capsWords.length > 0) {
+      add('caps', 'ALL-CAPS word');
+    }
+
+    if (title.includes('!')) add('punctuation', 'exclamation mark');
+
+    return patterns;
+  }
+
+  /**
+   * Measure every title pattern used by at least minPosts posts
+   * @param {Array} posts - Posts with sentiment from SentimentAnalyzer.analyzePosts
+   * @returns {Object} {minPosts, postsCompared, patterns}; patterns best first, each
+   *   {kind, pattern, posts, subreddits, relativeEngagement, baseline, lift, beatMedian, outperforms, examples}
+   */
+  analyze(posts) {
+    // Engagement relative to the median post of the same subreddit
+    const subredditMedian = medianEngagementBySubreddit(posts);
+    const compared = posts
+      .filter(post => subredditMedian.get(post.subreddit) > 0)
+      .map(post => ({ post, relative: engagementOf(post) / subredditMedian.get(post.subreddit) }));
+
+    const usage = new Map();
+    compared.forEach(entry => {
+      this.patternsOf(entry.post).forEach(({ kind, pattern }) => {
+        const key = `${kind}:${pattern}`;
+        if (!usage.has(key)) usage.set(key, { kind, pattern, entries: [] });
+        usage.get(key).entries.push(entry);
+      });
+    });
+
+    // "why question" and "opens with 'why is'" often mark the same posts; report one of them
+    const seen = new Set();
+    const distinct = [...usage.values()]
+      .sort((a, b) => KIND_PRIORITY.indexOf(a.kind) - KIND_PRIORITY.indexOf(b.kind))
+      .filter(item => {
+        const signature = item.entries.map(entry => entry.post.id).sort().join(',');
+        if (seen.has(signature)) return false;
+        seen.add(signature);
+        return true;
+      });
+
+    const patterns = distinct
+      // A pattern every post uses has nothing to be compared with
+      .filter(item => item.entries.length >= this.minPosts && item.entries.length < compared.length)
+      .map(({ kind, pattern, entries }) => {
+        const using = new Set(entries);
+        const relativeEngagement = median(entries.map(entry => entry.relative));
+        const baseline = median(compared.filter(entry => !using.has(entry)).map(entry => entry.relative));
+        const lift = baseline > 0 ? relativeEngagement / baseline : null;
+
+        return {
+          kind,
+          pattern,
+          posts: entries.length,
+          subreddits: new Set(entries.map(entry => entry.post.subreddit)).size,
+          relativeEngagement,
+          baseline,
+          lift,
+          beatMedian: entries.filter(entry => entry.relative > 1).length / entries.length,
+          outperforms: relativeEngagement > 1 && (lift === null || lift > 1),
+          examples: [...entries]
+            .sort((a, b) => b.relative - a.relative)
+            .slice(0, 2)
+            .map(({ post, relative }) => ({
+              id: post.id,
+              title: post.title.trim(),
+              subreddit: post.subreddit,
+              relativeEngagement: relative,
+              permalink: post.permalink
+            }))
+        };
+      })
+      .sort((a, b) => b.relativeEngagement - a.relativeEngagement || b.posts - a.posts);
+
+    return { minPosts: this.minPosts, postsCompared: compared.length, patterns };
+  }
+}
+
+export default TitleAnalyzer;
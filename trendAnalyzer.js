@@ -1,60 +1,201 @@
+import TextPreprocessor from './textPreprocessor.js';
+import ScoringModel, { SCORING_FORMULAS, DEFAULT_SCORING_SETTINGS } from './scoringModels.js';
+
+// Stopwords allowed in the middle of a trigram
+const PHRASE_CONNECTORS = new Set(['of', 'the', 'for', 'on', 'in', 'to']);
+
+/**
+ * How keyword lists are ordered: by distinctiveness weight or by raw count
+ */
+export const KEYWORD_RANKINGS = ['weighted', 'count'];
+
 /**
  * TrendAnalyzer - Identifies trending topics and keywords
  */
 class TrendAnalyzer {
-  constructor() {
-    // Common words to exclude from trend analysis
-    this.stopWords = new Set([
-      'the', 'be', 'to', 'of', 'and', 'a', 'in', 'that', 'have', 'i',
-      'it', 'for', 'not', 'on', 'with', 'he', 'as', 'you', 'do', 'at',
-      'this', 'but', 'his', 'by', 'from', 'they', 'we', 'say', 'her', 'she',
-      'or', 'an', 'will', 'my', 'one', 'all', 'would', 'there', 'their',
-      'what', 'so', 'up', 'out', 'if', 'about', 'who', 'get', 'which', 'go',
-      'me', 'when', 'make', 'can', 'like', 'time', 'no', 'just', 'him', 'know',
-      'take', 'people', 'into', 'year', 'your', 'good', 'some', 'could', 'them',
-      'see', 'other', 'than', 'then', 'now', 'look', 'only', 'come', 'its', 'over',
-      'think', 'also', 'back', 'after', 'use', 'two', 'how', 'our', 'work',
-      'first', 'well', 'way', 'even', 'new', 'want', 'because', 'any', 'these',
-      'give', 'day', 'most', 'us', 'is', 'was', 'are', 'been', 'has', 'had',
-      'were', 'said', 'did', 'having', 'may', 'should', 'am', 'im', 'dont',
-      'doesnt', 'didnt', 'isnt', 'arent', 'wasnt', 'werent', 'wont', 'wouldnt',
-      'cant', 'couldnt', 'shouldnt', 'ive', 'youve', 'theyve', 'weve', 'youre',
-      'theyre', 'were', 'hes', 'shes', 'its', 'thats', 'whats', 'heres', 'theres'
-    ]);
+  /**
+   * @param {Object} options - Analyzer options
+   * @param {string} options.keywordRanking - One of KEYWORD_RANKINGS
+   * @param {TextPreprocessor} options.preprocessor - Markup stripping, stopwords and stemming
+   * @param {ScoringModel} options.scoringModel - Formulas behind getTopTrendingPosts
+   */
+  constructor({
+    keywordRanking = 'weighted',
+    preprocessor = new TextPreprocessor(),
+    scoringModel = new ScoringModel()
+  } = {}) {
+    this.keywordRanking = keywordRanking;
+    this.scoringModel = scoringModel;
+    this.preprocessor = preprocessor;
+  }
+
+  /**
+   * Split text into phrase-safe segments of classified tokens.
+   * Punctuation ends a segment so phrases never span sentences or list items.
+   * Terms are keys from the preprocessor ("gaming" → "game"); use label() to show them.
+   * @param {string} text - Text to tokenize
+   * @returns {Array<Array<Object>>} Segments of {term, keyword, number, stop} tokens
+   */
+  tokenize(text) {
+    return this.preprocessor.clean(text)
+      .replace(/['’]/g, '')
+      .split(/[.!?,;:()[\]{}"|\n]+/)
+      .map(segment => {
+        const words = segment.match(/[A-Za-z0-9]+/g) || [];
+        // An all-caps sentence is shouting, not a run of acronyms
+        const shouting = words.length >= 3 && words.every(word => word === word.toUpperCase());
+
+        return words.map(word => {
+          const lower = word.toLowerCase();
+          const number = /^\d+$/.test(word);
+          const stop = this.preprocessor.isStopword(lower);
+          const acronym = !shouting && /^[A-Z][A-Z0-9]{1,4}$/.test(word);
+
+          return {
+            term: stop || number ? lower : this.preprocessor.normalize(lower),
+            number,
+            stop,
+            keyword: !stop && !number && (lower.length > 3 || acronym)
+          };
+        });
+      })
+      .filter(segment => segment.length > 0);
   }
 
   /**
    * Extract and count keywords from text
+   * Known phrases are matched first (longest first) and their tokens are not
+   * counted again as single keywords.
    * @param {string} text - Text to extract keywords from
+   * @param {Set<string>} phrases - Known multi-word phrases from findPhrases
    * @returns {Object} Keyword frequency map
    */
-  extractKeywords(text) {
-    const words = text
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
-      .split(/\s+/)
-      .filter(word => 
-        word.length > 3 && 
-        !this.stopWords.has(word) &&
-        !/^\d+$/.test(word) // Exclude pure numbers
-      );
-
-    const frequency = {};
-    words.forEach(word => {
-      frequency[word] = (frequency[word] || 0) + 1;
+  extractKeywords(text, phrases = new Set()) {
+    // No prototype, so keywords like "constructor" are counted like any other
+    const frequency = Object.create(null);
+    const add = term => {
+      frequency[term] = (frequency[term] || 0) + 1;
+    };
+
+    this.tokenize(text).forEach(tokens => {
+      let i = 0;
+      while (i < tokens.length) {
+        const match = [3, 2]
+          .map(n => tokens.slice(i, i + n))
+          .find(gram => gram.length > 1 && phrases.has(gram.map(t => t.term).join(' ')));
+
+        if (match) {
+          add(match.map(t => t.term).join(' '));
+          i += match.length;
+          continue;
+        }
+
+        if (tokens[i].keyword) {
+          add(tokens[i].term);
+        }
+        i++;
+      }
     });
 
     return frequency;
   }
 
+  /**
+   * Check whether a token sequence can form a phrase.
+   * Phrases may not start or end with a stopword, single letters are not allowed,
+   * only a trailing token may be a number (numbered titles like "gta 6"), a
+   * trigram may only have a connector word in the middle, and a word repeated
+   * on its own ("game game game") is not a phrase.
+   * @param {Array<Object>} gram - Tokens from tokenize
+   * @returns {boolean} True when the sequence is a phrase candidate
+   */
+  isPhraseCandidate(gram) {
+    const first = gram[0];
+    const last = gram[gram.length - 1];
+
+    if (first.stop || last.stop || first.number) return false;
+    if (gram.slice(0, -1).some(token => token.number)) return false;
+    // Only connector words may join a phrase ("call of duty"), not verbs like "are"
+    if (gram.some(token => token.stop && !PHRASE_CONNECTORS.has(token.term))) return false;
+    if (gram.length === 2 && gram.some(token => token.stop)) return false;
+    if (gram.some(token => !token.number && token.term.length < 2)) return false;
+    if (gram.every(token => token.term === first.term)) return false;
+
+    return true;
+  }
+
+  /**
+   * Find collocated bigrams and trigrams across a corpus using pointwise mutual
+   * information: log2(P(phrase) / product of P(word)). Trigrams take precedence
+   * over the bigrams they contain.
+   * @param {Array<string>} texts - Corpus of texts
+   * @param {number} minFrequency - Minimum occurrences of a phrase
+   * @param {number} minPmi - Minimum PMI score for a phrase to be kept
+   * @returns {Map<string, Object>} Phrase to {count, pmi}
+   */
+  findPhrases(texts, minFrequency = 3, minPmi = 2) {
+    const unigrams = Object.create(null);
+    const ngrams = Object.create(null);
+    let totalTokens = 0;
+
+    texts.forEach(text => {
+      this.tokenize(text).forEach(tokens => {
+        tokens.forEach((token, i) => {
+          unigrams[token.term] = (unigrams[token.term] || 0) + 1;
+          totalTokens++;
+
+          [2, 3].forEach(n => {
+            const gram = tokens.slice(i, i + n);
+            if (gram.length === n && this.isPhraseCandidate(gram)) {
+              const phrase = gram.map(t => t.term).join(' ');
+              ngrams[phrase] = (ngrams[phrase] || 0) + 1;
+            }
+          });
+        });
+      });
+    });
+
+    const minCount = Math.max(2, minFrequency);
+    const scored = Object.entries(ngrams)
+      .filter(([_, count]) => count >= minCount)
+      .map(([phrase, count]) => {
+        const words = phrase.split(' ');
+        const expected = words.reduce((p, word) => p * (unigrams[word] / totalTokens), 1);
+        return { phrase, count, pmi: Math.log2((count / totalTokens) / expected) };
+      })
+      .filter(item => item.pmi >= minPmi)
+      // Trigrams first so they can claim occurrences from their bigrams
+      .sort((a, b) => b.phrase.split(' ').length - a.phrase.split(' ').length || b.count - a.count);
+
+    const phrases = new Map();
+    scored.forEach(({ phrase, count, pmi }) => {
+      const words = phrase.split(' ');
+      let remaining = count;
+
+      if (words.length === 2) {
+        phrases.forEach((kept, trigram) => {
+          if (trigram.startsWith(`${phrase} `) || trigram.endsWith(` ${phrase}`)) {
+            remaining -= kept.count;
+          }
+        });
+      }
+
+      if (remaining >= minCount) {
+        phrases.set(phrase, { count: remaining, pmi });
+      }
+    });
+
+    return phrases;
+  }
+
   /**
    * Merge multiple keyword frequency maps
    * @param {Array<Object>} frequencyMaps - Array of frequency maps
    * @returns {Object} Merged frequency map
    */
   mergeFrequencies(frequencyMaps) {
-    const merged = {};
-    
+    const merged = Object.create(null);
+
     frequencyMaps.forEach(map => {
       Object.entries(map).forEach(([word, count]) => {
         merged[word] = (merged[word] || 0) + count;
@@ -84,23 +225,8 @@ class TrendAnalyzer {
    * @returns {Array} Top trending keywords
    */
   analyzeTrendingKeywords(posts, minFrequency = 3) {
-    const allFrequencies = posts.map(post => {
-      const titleFreq = this.extractKeywords(post.title);
-      const textFreq = post.text ? this.extractKeywords(post.text) : {};
-      return this.mergeFrequencies([titleFreq, textFreq]);
-    });
-
-    const merged = this.mergeFrequencies(allFrequencies);
-    
-    // Filter by minimum frequency
-    const filtered = Object.entries(merged)
-      .filter(([_, count]) => count >= minFrequency)
-      .reduce((acc, [word, count]) => {
-        acc[word] = count;
-        return acc;
-      }, {});
-
-    return this.getTopKeywords(filtered, 30);
+    const texts = posts.map(post => `${post.title}\n${post.text || ''}`);
+    return this.rankTerms(texts, minFrequency, posts.map(post => post.subreddit));
   }
 
   /**
@@ -110,29 +236,221 @@ class TrendAnalyzer {
    * @returns {Array} Top trending keywords from comments
    */
   analyzeCommentTrends(comments, minFrequency = 3) {
-    const allFrequencies = comments.map(comment => 
-      this.extractKeywords(comment.body)
+    return this.rankTerms(
+      comments.map(comment => comment.body),
+      minFrequency,
+      comments.map(comment => comment.subreddit)
     );
+  }
+
+  /**
+   * Order keywords by the configured ranking, using the other score to break ties
+   * @param {Array} keywords - Array of {keyword, count, weight} objects
+   * @returns {Array} Sorted keywords (the array is sorted in place)
+   */
+  sortKeywords(keywords) {
+    return this.keywordRanking === 'count'
+      ? keywords.sort((a, b) => b.count - a.count || b.weight - a.weight)
+      : keywords.sort((a, b) => b.weight - a.weight || b.count - a.count);
+  }
+
+  /**
+   * Count keywords and collocated phrases across texts and rank them.
+   * Words that are part of a detected phrase are counted only as the phrase.
+   * Each keyword is weighted by how few of the groups (subreddits) use it, an
+   * inverse document frequency over groups: weight = count × log2(1 + groups /
+   * groups using it). A keyword every group uses keeps weight = count.
+   * @param {Array<string>} texts - Texts to analyze
+   * @param {number} minFrequency - Minimum frequency threshold
+   * @param {Array<string>} groups - Group (subreddit) of each text
+   * @returns {Array} Top {keyword, count, weight, subredditCount} objects
+   */
+  rankTerms(texts, minFrequency = 3, groups = []) {
+    const phrases = new Set(this.findPhrases(texts, minFrequency).keys());
+    const frequencies = texts.map(text => this.extractKeywords(text, phrases));
+    const merged = this.mergeFrequencies(frequencies);
+
+    const groupsByTerm = new Map();
+    frequencies.forEach((frequency, index) => {
+      Object.keys(frequency).forEach(term => {
+        if (!groupsByTerm.has(term)) groupsByTerm.set(term, new Set());
+        groupsByTerm.get(term).add(groups[index]);
+      });
+    });
+    const groupCount = new Set(groups.length > 0 ? groups : [undefined]).size;
 
-    const merged = this.mergeFrequencies(allFrequencies);
-    
-    // Filter by minimum frequency
-    const filtered = Object.entries(merged)
+    const ranked = Object.entries(merged)
       .filter(([_, count]) => count >= minFrequency)
-      .reduce((acc, [word, count]) => {
-        acc[word] = count;
-        return acc;
-      }, {});
+      .map(([keyword, count]) => {
+        const subredditCount = groupsByTerm.get(keyword).size;
+        return {
+          keyword: this.preprocessor.label(keyword),
+          count,
+          weight: count * Math.log2(1 + groupCount / subredditCount),
+          subredditCount
+        };
+      });
+
+    return this.sortKeywords(ranked).slice(0, 30);
+  }
+
+  /**
+   * Dunning's log-likelihood (G²) that a term is used at a different rate in a
+   * sample than in a reference corpus. Signed: positive when the sample uses it more.
+   * @param {number} sampleCount - Occurrences in the sample
+   * @param {number} sampleTotal - Keyword occurrences of any term in the sample
+   * @param {number} referenceCount - Occurrences in the reference corpus
+   * @param {number} referenceTotal - Keyword occurrences of any term in the reference corpus
+   * @returns {number} Signed G² score (0 when there is no reference)
+   */
+  logLikelihood(sampleCount, sampleTotal, referenceCount, referenceTotal) {
+    if (referenceTotal === 0 || sampleTotal === 0) return 0;
+
+    const expectedRatio = (sampleCount + referenceCount) / (sampleTotal + referenceTotal);
+    const term = (observed, expected) => (observed > 0 ? observed * Math.log(observed / expected) : 0);
+    const g2 = 2 * (
+      term(sampleCount, sampleTotal * expectedRatio) +
+      term(referenceCount, referenceTotal * expectedRatio)
+    );
+
+    return sampleCount / sampleTotal >= referenceCount / referenceTotal ? g2 : -g2;
+  }
+
+  /**
+   * Split text into sentences of plain prose; line breaks also end a sentence
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Non-empty trimmed sentences
+   */
+  splitSentences(text) {
+    return this.preprocessor.clean(text)
+      .replace(/[ \t]+/g, ' ')
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => /[A-Za-z]/.test(sentence));
+  }
+
+  /**
+   * Collect the sentences each keyword is mentioned in, across post titles, bodies and comments
+   * @param {Array} keywords - Keywords to look for, e.g. from analyzeTrendingKeywords
+   * @param {Array} posts - Array of post objects
+   * @param {Array} comments - Array of comment objects
+   * @returns {Map<string, Array>} keyword -> [{text, source, id, subreddit, permalink}]
+   */
+  getKeywordMentions(keywords, posts, comments = []) {
+    // Keywords are labels; match on their keys so every inflection counts
+    const wanted = new Map(keywords.map(item => [this.preprocessor.key(item.keyword), item.keyword]));
+    const phrases = new Set([...wanted.keys()].filter(key => key.includes(' ')));
+    const mentions = new Map([...wanted.values()].map(keyword => [keyword, []]));
+
+    const collect = (text, source, item) => {
+      this.splitSentences(text).forEach(sentence => {
+        Object.keys(this.extractKeywords(sentence, phrases))
+          .filter(term => wanted.has(term))
+          .forEach(term => {
+            mentions.get(wanted.get(term)).push({
+              text: sentence,
+              source,
+              id: item.id,
+              subreddit: item.subreddit,
+              permalink: item.permalink || null
+            });
+          });
+      });
+    };
+
+    posts.forEach(post => {
+      collect(post.title, 'post', post);
+      collect(post.text, 'post', post);
+    });
+    comments.forEach(comment => collect(comment.body, 'comment', comment));
 
-    return this.getTopKeywords(filtered, 30);
+    return mentions;
   }
 
   /**
-   * Find trending topics by subreddit
+   * Find comment keywords that never appear in post titles -
+   * what people are actually talking about rather than what was posted
+   * @param {Array} commentKeywords - Keywords from analyzeCommentTrends
    * @param {Array} posts - Array of post objects
+   * @returns {Array} Comment keywords absent from all titles
+   */
+  getCommentOnlyKeywords(commentKeywords, posts) {
+    // Pad with spaces so phrases match on whole words only
+    const titles = posts.map(post =>
+      ` ${this.tokenize(post.title).map(tokens => tokens.map(t => t.term).join(' ')).join(' ')} `
+    );
+
+    return commentKeywords.filter(({ keyword }) =>
+      !titles.some(title => title.includes(` ${this.preprocessor.key(keyword)} `))
+    );
+  }
+
+  /**
+   * Count the subreddits, users and sites that posts and comments point to.
+   * Each name counts once per post or comment; link posts add their link's domain.
+   * @param {Array} posts - Array of post objects
+   * @param {Array} comments - Array of comment objects
+   * @param {number} limit - Entries to keep per signal
+   * @returns {Object} {subreddits, users, domains}, each [{name, count}] most mentioned first
+   */
+  getMentionSignals(posts, comments = [], limit = 10) {
+    const counts = { subreddits: new Map(), users: new Map(), domains: new Map() };
+
+    const collect = (text, link = null) => {
+      const signals = this.preprocessor.extractSignals(text);
+      const linkDomain = link ? this.preprocessor.domainOf(link) : null;
+      if (linkDomain && !signals.domains.includes(linkDomain)) signals.domains.push(linkDomain);
+
+      Object.entries(signals).forEach(([kind, names]) => {
+        names.forEach(name => counts[kind].set(name, (counts[kind].get(name) || 0) + 1));
+      });
+    };
+
+    // A self post's url is its own comments page, not a link
+    posts.forEach(post => collect(
+      `${post.title}\n${post.text || ''}`,
+      post.url && !post.url.includes(`/comments/${post.id}`) ? post.url : null
+    ));
+    comments.forEach(comment => collect(comment.body));
+
+    return Object.fromEntries(Object.entries(counts).map(([kind, names]) => [
+      kind,
+      [...names.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([name, count]) => ({ name, count }))
+    ]));
+  }
+
+  /**
+   * Get the most upvoted comments for each post
+   * @param {Array} posts - Posts to collect comments for, e.g. from getTopTrendingPosts
+   * @param {Array} comments - Array of comment objects
+   * @param {number} perPost - Number of comments to keep per post
+   * @returns {Array} Array of {post, comments} objects in post order
+   */
+  getTopCommentsByPost(posts, comments, perPost = 2) {
+    return posts
+      .map(post => ({
+        post,
+        comments: comments
+          .filter(comment => comment.post_id === post.id)
+          .sort((a, b) => b.score - a.score)
+          .slice(0, perPost)
+      }))
+      .filter(entry => entry.comments.length > 0);
+  }
+
+  /**
+   * Find trending topics by subreddit. Each subreddit's keywords are weighted
+   * by log-likelihood against the other analyzed subreddits, so terms every
+   * subreddit uses rank below the ones that set it apart. With the weighted
+   * ranking, keywords a subreddit uses less than the others are left out.
+   * @param {Array} posts - Array of post objects
+   * @param {number} minFrequency - Minimum mentions within the subreddit
    * @returns {Object} Trending topics grouped by subreddit
    */
-  getTrendsBySubreddit(posts) {
+  getTrendsBySubreddit(posts, minFrequency = 2) {
     const bySubreddit = {};
 
     posts.forEach(post => {
@@ -142,12 +460,35 @@ class TrendAnalyzer {
       bySubreddit[post.subreddit].push(post);
     });
 
+    // Shared phrases so every subreddit counts the same terms
+    const textOf = post => `${post.title}\n${post.text || ''}`;
+    const phrases = new Set(this.findPhrases(posts.map(textOf), minFrequency).keys());
+    const counts = Object.fromEntries(Object.entries(bySubreddit).map(([subreddit, subPosts]) => [
+      subreddit,
+      this.mergeFrequencies(subPosts.map(post => this.extractKeywords(textOf(post), phrases)))
+    ]));
+    const corpus = this.mergeFrequencies(Object.values(counts));
+    const totalOf = frequency => Object.values(frequency).reduce((total, count) => total + count, 0);
+    const corpusTotal = totalOf(corpus);
+    const compared = Object.keys(bySubreddit).length > 1;
+
     const trends = {};
     Object.entries(bySubreddit).forEach(([subreddit, subPosts]) => {
-      const keywords = this.analyzeTrendingKeywords(subPosts, 2);
+      const frequency = counts[subreddit];
+      const total = totalOf(frequency);
+
+      const keywords = Object.entries(frequency)
+        .filter(([_, count]) => count >= minFrequency)
+        .map(([keyword, count]) => ({
+          keyword: this.preprocessor.label(keyword),
+          count,
+          weight: this.logLikelihood(count, total, corpus[keyword] - count, corpusTotal - total)
+        }))
+        .filter(item => !compared || this.keywordRanking === 'count' || item.weight > 0);
+
       trends[subreddit] = {
         postCount: subPosts.length,
-        topKeywords: keywords.slice(0, 10),
+        topKeywords: this.sortKeywords(keywords).slice(0, 10),
         avgScore: subPosts.reduce((sum, p) => sum + p.score, 0) / subPosts.length
       };
     });
@@ -156,52 +497,489 @@ class TrendAnalyzer {
   }
 
   /**
-   * Calculate trending score based on engagement metrics
+   * Compare subreddits with each other: how similar their topics and audiences
+   * are, which topics cross over between communities and which stay in one.
+   * A topic is a keyword mentioned in at least minFrequency of a subreddit's posts.
+   * @param {Array} posts - Array of post objects
+   * @param {Array} comments - Array of comment objects, for author overlap
+   * @param {Object} options - Comparison options
+   * @param {number} options.minFrequency - Posts a keyword needs within a subreddit to be one of its topics
+   * @param {number} options.limit - Shared topics to keep, and unique topics per subreddit
+   * @returns {Object|null} {subreddits, pairs, sharedTopics}, or null with fewer than two subreddits
+   */
+  compareSubreddits(posts, comments = [], { minFrequency = 2, limit = 10 } = {}) {
+    const bySubreddit = new Map();
+    posts.forEach(post => {
+      if (!bySubreddit.has(post.subreddit)) bySubreddit.set(post.subreddit, []);
+      bySubreddit.get(post.subreddit).push(post);
+    });
+    if (bySubreddit.size < 2) return null;
+
+    const phrases = new Set(this.findPhrases(posts.map(post => `${post.title}\n${post.text || ''}`), minFrequency).keys());
+    const postsWith = new Map([...bySubreddit.entries()].map(([subreddit, subPosts]) => [
+      subreddit,
+      this.countDocumentFrequency(subPosts, phrases)
+    ]));
+    const topics = new Map([...postsWith.entries()].map(([subreddit, frequency]) => [
+      subreddit,
+      new Set(Object.keys(frequency).filter(keyword => frequency[keyword] >= minFrequency))
+    ]));
+
+    // Authors of posts and comments; deleted accounts and bots are not an audience
+    const ignoredAuthors = new Set(['[deleted]', 'automoderator']);
+    const postSubreddit = new Map(posts.map(post => [post.id, post.subreddit]));
+    const authors = new Map([...bySubreddit.keys()].map(subreddit => [subreddit, new Set()]));
+    const addAuthor = (subreddit, author) => {
+      if (author && authors.has(subreddit) && !ignoredAuthors.has(author.toLowerCase())) {
+        authors.get(subreddit).add(author);
+      }
+    };
+    posts.forEach(post => addAuthor(post.subreddit, post.author));
+    comments.forEach(comment => addAuthor(comment.subreddit || postSubreddit.get(comment.post_id), comment.author));
+
+    const jaccard = (a, b) => {
+      const shared = [...a].filter(item => b.has(item)).length;
+      const union = a.size + b.size - shared;
+      return { shared, similarity: union > 0 ? shared / union : 0 };
+    };
+
+    const names = [...bySubreddit.keys()];
+    const pairs = [];
+    names.forEach((a, i) => names.slice(i + 1).forEach(b => {
+      const keywordOverlap = jaccard(topics.get(a), topics.get(b));
+      const authorOverlap = jaccard(authors.get(a), authors.get(b));
+      pairs.push({
+        subreddits: [a, b],
+        keywordSimilarity: keywordOverlap.similarity,
+        sharedKeywords: [...topics.get(a)]
+          .filter(keyword => topics.get(b).has(keyword))
+          .sort((x, y) => (postsWith.get(b)[y] + postsWith.get(a)[y]) - (postsWith.get(b)[x] + postsWith.get(a)[x]))
+          .slice(0, 5)
+          .map(keyword => this.preprocessor.label(keyword)),
+        authorSimilarity: authorOverlap.similarity,
+        sharedAuthors: authorOverlap.shared
+      });
+    }));
+
+    const allTopics = new Set(names.flatMap(subreddit => [...topics.get(subreddit)]));
+    const sharedTopics = [...allTopics]
+      .map(keyword => {
+        const counts = Object.fromEntries(names
+          .filter(subreddit => topics.get(subreddit).has(keyword))
+          .map(subreddit => [subreddit, postsWith.get(subreddit)[keyword]]));
+        return {
+          keyword: this.preprocessor.label(keyword),
+          subredditCount: Object.keys(counts).length,
+          totalPosts: Object.values(counts).reduce((sum, count) => sum + count, 0),
+          posts: counts
+        };
+      })
+      .filter(topic => topic.subredditCount > 1)
+      .sort((a, b) => b.subredditCount - a.subredditCount || b.totalPosts - a.totalPosts)
+      .slice(0, limit);
+
+    // Unique topics are not a topic anywhere else, though a stray mention elsewhere is allowed
+    const subreddits = names.map(subreddit => ({
+      subreddit,
+      postCount: bySubreddit.get(subreddit).length,
+      authorCount: authors.get(subreddit).size,
+      uniqueTopics: [...topics.get(subreddit)]
+        .filter(keyword => names.every(other => other === subreddit || !topics.get(other).has(keyword)))
+        .sort((a, b) => postsWith.get(subreddit)[b] - postsWith.get(subreddit)[a])
+        .slice(0, limit)
+        .map(keyword => ({ keyword: this.preprocessor.label(keyword), posts: postsWith.get(subreddit)[keyword] }))
+    }));
+
+    return { subreddits, pairs, sharedTopics };
+  }
+
+  /**
+   * Calculate a single post's engagement score (upvotes + 2 × comments, decayed
+   * by age^1.5) as of now, independent of the configured scoring model
    * @param {Object} post - Post object
    * @returns {number} Trending score
    */
   calculateTrendingScore(post) {
-    const ageInHours = (Date.now() / 1000 - post.created_utc) / 3600;
-    const ageFactor = Math.max(1, ageInHours);
-    
-    // Weighted score: upvotes + comments with time decay
-    const engagementScore = post.score + (post.num_comments * 2);
-    const trendingScore = engagementScore / Math.pow(ageFactor, 1.5);
-    
-    return trendingScore;
+    return SCORING_FORMULAS.engagement.score(post, { now: Date.now() / 1000 }, DEFAULT_SCORING_SETTINGS.engagement);
   }
 
   /**
-   * Get top trending posts
+   * Get top trending posts, scored by the configured scoring model
    * @param {Array} posts - Array of post objects
    * @param {number} limit - Number of top posts to return
-   * @returns {Array} Top trending posts
+   * @param {Object} options - Scoring context
+   * @param {string} options.capturedAt - ISO time the posts were captured
+   * @param {Array} options.previousRuns - Previous run records from HistoryStore, for velocity
+   * @returns {Array} Top trending posts with trendingScore and scoreBreakdown
    */
-  getTopTrendingPosts(posts, limit = 10) {
-    return posts
-      .map(post => ({
-        ...post,
-        trendingScore: this.calculateTrendingScore(post)
-      }))
+  getTopTrendingPosts(posts, limit = 10, options = {}) {
+    return this.scoringModel.scorePosts(posts, options)
       .sort((a, b) => b.trendingScore - a.trendingScore)
       .slice(0, limit);
   }
 
   /**
-   * Identify emerging topics (keywords appearing frequently in recent posts)
+   * Count in how many documents each keyword appears
    * @param {Array} posts - Array of post objects
-   * @param {number} hoursThreshold - Consider posts from last N hours
-   * @returns {Array} Emerging keywords
+   * @param {Set<string>} phrases - Known multi-word phrases from findPhrases
+   * @returns {Object} Keyword document-frequency map
    */
-  getEmergingTopics(posts, hoursThreshold = 24) {
-    const cutoffTime = Date.now() / 1000 - (hoursThreshold * 3600);
+  countDocumentFrequency(posts, phrases = new Set()) {
+    const docFrequency = Object.create(null);
+
+    posts.forEach(post => {
+      const keywords = Object.keys(this.extractKeywords(`${post.title}\n${post.text || ''}`, phrases));
+      keywords.forEach(keyword => {
+        docFrequency[keyword] = (docFrequency[keyword] || 0) + 1;
+      });
+    });
+
+    return docFrequency;
+  }
+
+  /**
+   * Posts mentioning each keyword or phrase, for the emerging-topic baseline of later runs.
+   * Keywords in fewer than minPosts posts are left out to keep history records small;
+   * later runs read a missing keyword as mentioned by no post.
+   * @param {Array} posts - Array of post objects
+   * @param {number} minPosts - Minimum posts mentioning a keyword
+   * @returns {Object} Keyword key → number of posts mentioning it
+   */
+  getKeywordPostCounts(posts, minPosts = 2) {
+    const phrases = new Set(
+      this.findPhrases(posts.map(post => `${post.title}\n${post.text || ''}`), minPosts).keys()
+    );
+    return Object.fromEntries(
+      Object.entries(this.countDocumentFrequency(posts, phrases)).filter(([, count]) => count >= minPosts)
+    );
+  }
+
+  /**
+   * Identify emerging topics by comparing each keyword's rate in recent posts
+   * against its baseline rate in older posts (and stored run history, if given).
+   * Rates are the share of posts mentioning the keyword; significance is a
+   * one-sample z-score of the recent rate against the baseline rate.
+   * @param {Array} posts - Array of post objects
+   * @param {number} hoursThreshold - Posts from the last N hours form the recent window
+   * @param {Object} options - Detection options
+   * @param {number} options.minSupport - Minimum recent posts mentioning a keyword
+   * @param {number} options.minZScore - Minimum z-score to count as emerging
+   * @param {number} options.minBaselinePosts - Minimum baseline sample size
+   * @param {Array} options.history - Previous run records from HistoryStore; runs without
+   *   keywordPosts (recorded by older versions) are not part of the baseline
+   * @param {string} options.capturedAt - ISO time the posts were fetched; the recent window
+   *   ends here, so replayed snapshots and archives are read as of their capture (default: now)
+   * @returns {Array} Emerging topics with recentRate, baselineRate, lift and zScore
+   */
+  getEmergingTopics(posts, hoursThreshold = 24, options = {}) {
+    const {
+      minSupport = 3,
+      minZScore = 1.96,
+      minBaselinePosts = 10,
+      history = [],
+      capturedAt = null
+    } = options;
+
+    const now = capturedAt ? Date.parse(capturedAt) / 1000 : Date.now() / 1000;
+    const cutoffTime = now - (hoursThreshold * 3600);
     const recentPosts = posts.filter(post => post.created_utc > cutoffTime);
-    
-    if (recentPosts.length === 0) {
+    const olderPosts = posts.filter(post => post.created_utc <= cutoffTime);
+
+    // Both sides of the baseline count posts mentioning a keyword, out of all posts of each run
+    const storedRuns = history.filter(run => run.keywordPosts && run.postsCount);
+    const storedPosts = storedRuns.reduce((sum, run) => sum + run.postsCount, 0);
+
+    if (recentPosts.length === 0 || olderPosts.length + storedPosts === 0) {
       return [];
     }
 
-    return this.analyzeTrendingKeywords(recentPosts, 2).slice(0, 15);
+    const storedCount = keyword => storedRuns.reduce((sum, run) =>
+      sum + (Object.hasOwn(run.keywordPosts, keyword) ? run.keywordPosts[keyword] : 0), 0);
+
+    const phrases = new Set(
+      this.findPhrases(posts.map(post => `${post.title}\n${post.text || ''}`), minSupport).keys()
+    );
+    const recentFrequency = this.countDocumentFrequency(recentPosts, phrases);
+    const olderFrequency = this.countDocumentFrequency(olderPosts, phrases);
+
+    return Object.entries(recentFrequency)
+      .filter(([_, count]) => count >= minSupport)
+      .map(([keyword, count]) => {
+        const baselineCount = (olderFrequency[keyword] || 0) + storedCount(keyword);
+        const baselineSize = olderPosts.length + storedPosts;
+        // Additive smoothing keeps unseen keywords from producing infinite lift
+        const baselineRate = (baselineCount + 0.5) / (baselineSize + 1);
+        const recentRate = count / recentPosts.length;
+        const standardError = Math.sqrt(baselineRate * (1 - baselineRate) / recentPosts.length);
+
+        return {
+          keyword: this.preprocessor.label(keyword),
+          count,
+          recentRate,
+          baselineRate,
+          baselineSize,
+          lift: recentRate / baselineRate,
+          zScore: (recentRate - baselineRate) / standardError
+        };
+      })
+      .filter(topic =>
+        topic.baselineSize >= minBaselinePosts && topic.lift > 1 && topic.zScore >= minZScore
+      )
+      .sort((a, b) => b.zScore - a.zScore)
+      .slice(0, 15);
+  }
+
+  /**
+   * Find the comment threads with the most back-and-forth discussion.
+   * A thread is a top-level comment and all of its replies. An exchange is a
+   * reply to a comment that was itself replying to the same author, i.e. two
+   * people arguing with each other.
+   * @param {Array} comments - Comments with id, parent_id and depth
+   * @param {number} limit - Number of threads to return
+   * @returns {Array} Threads sorted by exchanges, then replies
+   */
+  getThreadActivity(comments, limit = 5) {
+    const byId = new Map(comments.map(comment => [`t1_${comment.id}`, comment]));
+    const threads = new Map();
+
+    // Walk up parent links to find the top-level comment each reply belongs to
+    const rootOf = comment => {
+      let current = comment;
+      while (current.depth > 0 && byId.has(current.parent_id)) {
+        current = byId.get(current.parent_id);
+      }
+      return current;
+    };
+
+    comments.forEach(comment => {
+      const root = rootOf(comment);
+      if (!threads.has(root.id)) {
+        threads.set(root.id, {
+          rootId: root.id,
+          postId: root.post_id,
+          postTitle: root.post_title,
+          subreddit: root.subreddit,
+          rootBody: root.body,
+          permalink: root.permalink,
+          replies: 0,
+          maxDepth: 0,
+          exchanges: 0,
+          participants: new Set()
+        });
+      }
+
+      const thread = threads.get(root.id);
+      thread.participants.add(comment.author);
+      thread.maxDepth = Math.max(thread.maxDepth, comment.depth || 0);
+
+      if (comment.depth > 0) {
+        thread.replies++;
+        const parent = byId.get(comment.parent_id);
+        const grandparent = parent && byId.get(parent.parent_id);
+        if (parent && grandparent &&
+            parent.author !== comment.author &&
+            grandparent.author === comment.author) {
+          thread.exchanges++;
+        }
+      }
+    });
+
+    return [...threads.values()]
+      .filter(thread => thread.replies > 0)
+      .map(thread => ({ ...thread, participants: thread.participants.size }))
+      .sort((a, b) => b.exchanges - a.exchanges || b.replies - a.replies)
+      .slice(0, limit);
+  }
+
+  /**
+   * Calculate run-over-run velocity and acceleration for keywords
+   * Counts are normalized per post so runs with different sample sizes compare fairly
+   * @param {Array} keywords - Array of {keyword, count} objects from the current run
+   * @param {number} postCount - Number of posts analyzed in the current run
+   * @param {Array} previousRuns - Previous run records from HistoryStore, oldest first
+   * @returns {Array} Keywords with rate, previousRate, baselineRate, velocity and acceleration
+   */
+  calculateKeywordVelocity(keywords, postCount, previousRuns = []) {
+    // Match on keys so a keyword shown as "game" in one run and "games" in the next still lines up
+    const rateIn = (run, keyword) => {
+      const key = this.preprocessor.key(keyword);
+      const match = (run.keywords || []).find(k => this.preprocessor.key(k.keyword) === key);
+      return match && run.postsCount ? match.count / run.postsCount : 0;
+    };
+
+    const percentChange = (current, previous) =>
+      previous > 0 ? ((current - previous) / previous) * 100 : null;
+
+    return keywords.map(item => {
+      const rate = postCount ? item.count / postCount : 0;
+      const history = previousRuns.map(run => rateIn(run, item.keyword));
+
+      if (history.length === 0) {
+        return { ...item, rate, previousRate: null, baselineRate: null, velocity: null, acceleration: null, isNew: false };
+      }
+
+      const previousRate = history[history.length - 1];
+      const baselineRate = history.reduce((sum, r) => sum + r, 0) / history.length;
+      const velocity = percentChange(rate, previousRate);
+
+      // Acceleration: how much faster (or slower) the keyword grew than it did last run
+      const previousVelocity = history.length > 1
+        ? percentChange(previousRate, history[history.length - 2])
+        : null;
+      const acceleration = velocity !== null && previousVelocity !== null
+        ? velocity - previousVelocity
+        : null;
+
+      return {
+        ...item,
+        rate,
+        previousRate,
+        baselineRate,
+        velocity,
+        acceleration,
+        isNew: previousRate === 0
+      };
+    });
+  }
+
+  /**
+   * Group related keywords into themes and assign each post to one theme.
+   * Every keyword is a TF-IDF vector over the posts that use it; average-linkage
+   * agglomerative clustering merges keywords whose posts overlap (cosine
+   * similarity) until no two clusters are at least `minSimilarity` alike. Each
+   * post then joins the theme its TF-IDF weight is highest for.
+   * @param {Array} posts - Array of post objects
+   * @param {Object} options - Clustering options
+   * @param {number} options.minFrequency - Minimum posts using a keyword for it to join a theme
+   * @param {number} options.minSimilarity - Minimum average cosine similarity for a merge
+   * @param {number} options.maxThemes - Maximum number of themes returned
+   * @param {number} options.maxTerms - Vocabulary size (most widespread keywords first)
+   * @returns {Array} Themes {label, terms, posts, engagement}, largest first
+   */
+  clusterTopics(posts, options = {}) {
+    const { minFrequency = 3, minSimilarity = 0.2, maxThemes = 8, maxTerms = 150 } = options;
+    const texts = posts.map(post => `${post.title}\n${post.text || ''}`);
+    const phrases = new Set(this.findPhrases(texts, minFrequency).keys());
+    const termCounts = texts.map(text => this.extractKeywords(text, phrases));
+
+    // Keywords in more than half the posts connect everything and separate nothing
+    const docFrequency = Object.create(null);
+    termCounts.forEach(counts => Object.keys(counts).forEach(term => {
+      docFrequency[term] = (docFrequency[term] || 0) + 1;
+    }));
+    const vocabulary = Object.entries(docFrequency)
+      .filter(([, count]) => count >= Math.max(2, minFrequency) && count <= posts.length / 2)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, maxTerms)
+      .map(([term]) => term);
+
+    if (vocabulary.length < 2) return [];
+
+    // TF-IDF weight of each vocabulary keyword in each post
+    const postWeights = termCounts.map(counts => new Map(
+      vocabulary
+        .filter(term => counts[term])
+        .map(term => [term, (1 + Math.log(counts[term])) * Math.log(posts.length / docFrequency[term])])
+    ));
+
+    // Keyword vectors over posts, L2-normalized so dot products are cosines
+    const vectors = vocabulary.map(term => {
+      const vector = new Map();
+      postWeights.forEach((weights, index) => {
+        if (weights.has(term)) vector.set(index, weights.get(term));
+      });
+      const norm = Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0));
+      vector.forEach((w, index) => vector.set(index, w / norm));
+      return vector;
+    });
+
+    const cosine = (a, b) => {
+      const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+      let dot = 0;
+      small.forEach((w, index) => {
+        dot += w * (large.get(index) || 0);
+      });
+      return dot;
+    };
+
+    const similarity = vectors.map((a, i) => vectors.map((b, j) => (i === j ? 0 : cosine(a, b))));
+    const members = vocabulary.map(term => [term]);
+    const active = vocabulary.map(() => true);
+
+    // Merge the most similar pair until none is similar enough. Average linkage
+    // via Lance-Williams: sim(A+B, C) = (|A| sim(A, C) + |B| sim(B, C)) / (|A| + |B|)
+    while (true) {
+      let best = { value: minSimilarity, i: -1, j: -1 };
+      for (let i = 0; i < vocabulary.length; i++) {
+        if (!active[i]) continue;
+        for (let j = i + 1; j < vocabulary.length; j++) {
+          if (active[j] && similarity[i][j] >= best.value) best = { value: similarity[i][j], i, j };
+        }
+      }
+      if (best.i === -1) break;
+
+      const { i, j } = best;
+      const [sizeI, sizeJ] = [members[i].length, members[j].length];
+      for (let k = 0; k < vocabulary.length; k++) {
+        if (!active[k] || k === i || k === j) continue;
+        const merged = (sizeI * similarity[i][k] + sizeJ * similarity[j][k]) / (sizeI + sizeJ);
+        similarity[i][k] = merged;
+        similarity[k][i] = merged;
+      }
+      members[i].push(...members[j]);
+      active[j] = false;
+    }
+
+    // A single keyword is not a theme; it already has its own row in the keyword list
+    const clusters = members.filter((terms, index) => active[index] && terms.length > 1);
+    const assigned = clusters.map(() => []);
+
+    posts.forEach((post, index) => {
+      const weights = postWeights[index];
+      let bestCluster = -1;
+      let bestWeight = 0;
+      clusters.forEach((terms, clusterIndex) => {
+        const weight = terms.reduce((sum, term) => sum + (weights.get(term) || 0), 0);
+        if (weight > bestWeight) {
+          bestWeight = weight;
+          bestCluster = clusterIndex;
+        }
+      });
+      if (bestCluster !== -1) assigned[bestCluster].push(index);
+    });
+
+    return clusters
+      .map((terms, clusterIndex) => {
+        const indexes = assigned[clusterIndex];
+        // Terms ranked by how many of the theme's own posts use them
+        const ranked = terms
+          .map(term => ({ term, count: indexes.filter(index => postWeights[index].has(term)).length }))
+          .filter(item => item.count > 0)
+          .sort((a, b) => b.count - a.count || docFrequency[b.term] - docFrequency[a.term])
+          .map(({ term, count }) => ({ keyword: this.preprocessor.label(term), count }));
+        const themePosts = indexes.map(index => posts[index]);
+        const totalScore = themePosts.reduce((sum, post) => sum + post.score, 0);
+
+        return {
+          label: ranked.slice(0, 3).map(item => item.keyword).join(' / '),
+          terms: ranked,
+          posts: themePosts,
+          engagement: {
+            totalScore,
+            avgScore: themePosts.length ? totalScore / themePosts.length : 0,
+            avgComments: themePosts.length
+              ? themePosts.reduce((sum, post) => sum + post.num_comments, 0) / themePosts.length
+              : 0,
+            avgTrendingScore: themePosts.length
+              ? themePosts.reduce((sum, post) => sum + (post.trendingScore ?? this.calculateTrendingScore(post)), 0) /
+                themePosts.length
+              : 0
+          }
+        };
+      })
+      .filter(theme => theme.posts.length >= 2 && theme.terms.length >= 2)
+      .sort((a, b) => b.posts.length - a.posts.length || b.engagement.totalScore - a.engagement.totalScore)
+      .slice(0, maxThemes);
   }
 }
 